@@ -1,3 +1,21 @@
+const crypto = require('crypto');
+const { ClaimExtractor } = require('./engine/claim_extractor');
+const { LocalBridge } = require('./engine/studio/local_bridge');
+const { extractEntities, uniqueEntities } = require('../shared/ner');
+const { tokenize, jaccard } = require('./engine/text_utils');
+
+const EDGE_TYPES = {
+    MENTIONS: 'mentions', // claim|source -> entity
+    SUPPORTS: 'supports', // claim -> claim (same subject, same stance)
+    CONTRADICTS: 'contradicts', // claim -> claim (same subject, opposite stance)
+    CITES: 'cites', // claim -> source it came from, source -> source it links to
+    CO_OCCURS: 'co-occurs' // entity <-> entity named in the same paragraph (undirected)
+};
+
+const MAX_COOCCURRING_ENTITIES = 8; // Per paragraph, keeps co-occurs edges from exploding
+
+const SNAPSHOT_TTL_MS = 300000; // 5 minutes ephemeral life
+
 // --- Layer 2 & 3: Context Engine (The Brain Stem) ---
 
 class ContextSnapshotter {
@@ -6,51 +24,573 @@ class ContextSnapshotter {
         return {
             id: `snapshot-${Date.now()}`,
             visible_intel: sensorData.viewport_text.substring(0, 500), // Compression
-            structural_anchors: sensorData.structure.elements,
-            interaction_pulse: sensorData.interactions,
-            media_state: sensorData.media,
+            structural_anchors: (sensorData.structure && sensorData.structure.elements) || [],
+            interaction_pulse: sensorData.interactions || null,
+            media_state: sensorData.media || [],
             timestamp: Date.now(),
-            ttl: 300000 // 5 minutes ephemeral life
+            ttl: SNAPSHOT_TTL_MS
         };
     }
 }
 
 class ContextGraph {
-    constructor() {
+    /**
+     * @param {object} options - { claimModel: string } enables the LocalBridge claim pass
+     */
+    constructor(options = {}) {
         this.sessionGraph = {
             nodes: [],
             edges: [],
             lastSnapshot: null
         };
+        this.nodeIndex = new Map(); // id -> node
+        this.edgeIndex = new Map(); // `${type}:${source}->${target}` -> edge
+        this.claimEntities = new Map(); // claim id -> Set of entity ids it mentions
+
+        // Per-session knowledge store (ephemeral, dropped with the graph)
+        this.sources = new Map(); // url -> source record with provenance
+        this.documents = [];
+        this.seenHashes = new Set(); // document + paragraph fingerprints for dedup
+        this.interactions = [];
+        this.wordCount = 0;
+
+        const claimModel = options.claimModel || process.env.CLAIM_MODEL || null;
+        this.claimExtractor = new ClaimExtractor(claimModel ? { bridge: options.bridge || new LocalBridge(), model: claimModel } : {});
+    }
+
+    logInteraction(type, payload = {}) {
+        this.interactions.push({ type, payload, timestamp: Date.now() });
+    }
+
+    getInteractions(type = null) {
+        return type ? this.interactions.filter(i => i.type === type) : this.interactions;
+    }
+
+    /**
+     * Ingests tool output from the Looper.
+     * @param {Array} results - [{ type: 'urls', data: [searchResult] } | { type: 'content', source, data }]
+     * @returns {{ sources: number, documents: number, duplicates: number }}
+     */
+    ingest(results = []) {
+        const summary = { sources: 0, documents: 0, duplicates: 0 };
+
+        for (const result of results) {
+            if (result.type === 'urls') {
+                (result.data || []).forEach(hit => {
+                    if (this.registerSource(hit)) summary.sources++;
+                });
+            } else if (result.type === 'content') {
+                if (this.ingestDocument(result.source, result.data)) {
+                    summary.documents++;
+                } else {
+                    summary.duplicates++;
+                }
+            }
+        }
+
+        this.logInteraction('INGEST', summary);
+        return summary;
+    }
+
+    registerSource(hit) {
+        const url = typeof hit === 'string' ? hit : hit && hit.url;
+        if (!url || this.sources.has(url)) return false;
+
+        this.sources.set(url, {
+            url,
+            title: hit.title || null,
+            snippet: hit.snippet || '',
+            provider: hit.provider || null,
+            rank: hit.rank || null,
+            status: 'discovered',
+            discovered_at: Date.now(),
+            read_at: null,
+            word_count: 0
+        });
+        return true;
+    }
+
+    /**
+     * Stores a read page, keeping only paragraphs not already seen in this session.
+     * Returns false when the page adds nothing new.
+     */
+    ingestDocument(sourceHit, content) {
+        const doc = typeof content === 'string' ? { text: content } : (content || {});
+        const url = doc.url || (typeof sourceHit === 'string' ? sourceHit : sourceHit && sourceHit.url);
+        if (!url) return false;
+
+        this.registerSource(sourceHit || url);
+        const source = this.sources.get(url);
+
+        const paragraphs = (doc.paragraphs || (doc.text || '').split(/\n\s*\n/))
+            .map(p => p.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+
+        const docHash = `doc:${this.fingerprint(paragraphs.join(' '))}`; // Namespaced so a one-paragraph page can't collide with its paragraph
+        if (!paragraphs.length || this.seenHashes.has(docHash)) {
+            source.status = 'duplicate';
+            return false;
+        }
+        this.seenHashes.add(docHash);
+
+        const fresh = paragraphs.filter(p => {
+            const hash = this.fingerprint(p);
+            if (this.seenHashes.has(hash)) return false;
+            this.seenHashes.add(hash);
+            return true;
+        });
+        if (!fresh.length) {
+            source.status = 'duplicate';
+            return false;
+        }
+
+        const text = fresh.join('\n\n');
+        const words = text.split(/\s+/).filter(Boolean).length;
+
+        Object.assign(source, {
+            title: doc.title || source.title,
+            byline: doc.byline || null,
+            published_at: doc.published_at || null,
+            status: 'read',
+            read_at: Date.now(),
+            word_count: words
+        });
+
+        const links = (doc.links || []).map(l => l.url);
+        this.documents.push({ url, title: source.title, paragraphs: fresh, text, links, word_count: words, claims_method: 'rules' });
+        this.wordCount += words;
+
+        this.linkDocument(url, source.title, fresh, links);
+        this.extractClaims(text, url).forEach(claim => this.addClaim(claim));
+        return true;
+    }
+
+    /**
+     * Source node, its entities (mentions + per-paragraph co-occurrence) and citation links
+     * in both directions between this page and pages already read.
+     */
+    linkDocument(url, title, paragraphs, links) {
+        const sourceNode = this.addNode(url, 'source', { title });
+
+        for (const paragraph of paragraphs) {
+            const entityNodes = this.extractEntities(paragraph).map(entity => this.addEntity(entity));
+            entityNodes.forEach(node => this.addEdge(sourceNode.id, node.id, EDGE_TYPES.MENTIONS));
+            this.linkCooccurring(entityNodes);
+        }
+
+        for (const other of this.documents) {
+            if (other.url === url) continue;
+            if (links.includes(other.url)) this.addEdge(sourceNode.id, this.nodeId('source', other.url), EDGE_TYPES.CITES);
+            if (other.links.includes(url)) this.addEdge(this.nodeId('source', other.url), sourceNode.id, EDGE_TYPES.CITES);
+        }
+    }
+
+    /**
+     * Optional second pass: re-extracts claims of rule-processed documents with the
+     * configured model. No-op unless a claim model is set (CLAIM_MODEL).
+     * @param {object} options - { signal: AbortSignal } cancels the pass between and during model calls
+     */
+    async refineClaims(options = {}) {
+        if (!this.claimExtractor.modelEnabled) return 0;
+
+        let refined = 0;
+        for (const doc of this.documents.filter(d => d.claims_method === 'rules')) {
+            options.signal?.throwIfAborted();
+            const claims = await this.claimExtractor.extractWithModel(doc.text, doc.url, { signal: options.signal });
+            if (!claims.some(c => c.method === 'model')) continue;
+
+            this.removeClaims(doc.url);
+            claims.forEach(claim => this.addClaim(claim));
+            doc.claims_method = 'model';
+            refined++;
+        }
+        return refined;
+    }
+
+    /**
+     * Drops everything this session gathered (e.g. when the client disconnects).
+     */
+    release() {
+        this.sessionGraph = { nodes: [], edges: [], lastSnapshot: null };
+        this.nodeIndex.clear();
+        this.edgeIndex.clear();
+        this.claimEntities.clear();
+        this.sources.clear();
+        this.documents = [];
+        this.seenHashes.clear();
+        this.interactions = [];
+        this.wordCount = 0;
+    }
+
+    /**
+     * Drops the last snapshot once its ttl has passed. Returns true when something expired.
+     */
+    expireSnapshot(now = Date.now()) {
+        const snapshot = this.sessionGraph.lastSnapshot;
+        if (!snapshot || snapshot.timestamp + (snapshot.ttl || SNAPSHOT_TTL_MS) > now) return false;
+        this.sessionGraph.lastSnapshot = null;
+        return true;
+    }
+
+    /**
+     * Rough heap footprint in bytes (UTF-16 strings plus per-object overhead), for session accounting.
+     */
+    estimateSize() {
+        const chars = (...values) => values.reduce((sum, v) => sum + (typeof v === 'string' ? v.length : 0), 0);
+        let bytes = 0;
+        for (const doc of this.documents) bytes += 2 * (chars(doc.url, doc.title, doc.text) + doc.paragraphs.reduce((n, p) => n + p.length, 0)) + 200;
+        for (const source of this.sources.values()) bytes += 2 * chars(source.url, source.title, source.snippet) + 200;
+        for (const node of this.sessionGraph.nodes) bytes += 2 * chars(node.id, node.label, node.sentence) + 150;
+        bytes += this.sessionGraph.edges.length * 120;
+        bytes += this.seenHashes.size * 130;
+        for (const interaction of this.interactions) bytes += 2 * chars(interaction.payload.content, interaction.payload.answer) + 200;
+        return bytes;
+    }
+
+    fingerprint(text) {
+        return crypto.createHash('sha1').update(text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()).digest('hex');
+    }
+
+    getTotalWordCount() {
+        return this.wordCount;
+    }
+
+    /**
+     * Sources whose content was actually read (in reading order).
+     * Pass { includeUnread: true } to also get search hits that were never opened.
+     */
+    getSources({ includeUnread = false } = {}) {
+        const all = [...this.sources.values()];
+        if (includeUnread) return all;
+        return all.filter(s => s.status === 'read').sort((a, b) => a.read_at - b.read_at);
+    }
+
+    getSourceCount() {
+        return this.getSources().length;
+    }
+
+    getDocuments() {
+        return this.documents;
     }
 
     processSnapshot(snapshot) {
         // Semantic state inference (In place of raw keyword extraction)
         const entities = this.extractEntities(snapshot.visible_intel);
-        const claims = this.extractClaims(snapshot.visible_intel);
+        const claims = this.extractClaims(snapshot.visible_intel, snapshot.id);
 
         // Update temporary graph
-        entities.forEach(entity => this.addNode(entity, 'entity'));
-        claims.forEach(claim => this.addNode(claim, 'claim'));
+        this.linkCooccurring(entities.map(entity => this.addEntity(entity)));
+        claims.forEach(claim => this.addClaim(claim));
 
         this.sessionGraph.lastSnapshot = snapshot;
         return this.sessionGraph;
     }
 
+    /**
+     * Entity / claim view of the graph for the extension overlay: the most central
+     * entities plus everything the given snapshot contributed, and the edges between them.
+     */
+    overlayGraph(snapshotId = null, limit = 25) {
+        const claims = this.getClaims().filter(c => !snapshotId || c.sources.some(s => s.source === snapshotId));
+        const entities = new Map(this.centralEntities(limit).map(n => [n.id, n]));
+        claims.forEach(claim => (this.claimEntities.get(claim.id) || []).forEach(id => {
+            if (!entities.has(id)) entities.set(id, this.nodeIndex.get(id));
+        }));
+
+        const ids = new Set([...entities.keys(), ...claims.map(c => c.id)]);
+        return {
+            entities: [...entities.values()].map(n => ({
+                id: n.id,
+                text: n.label,
+                type: n.entity_type,
+                confidence: n.confidence,
+                mentions: n.mentions,
+                centrality: n.centrality
+            })),
+            claims: claims.map(c => ({
+                id: c.id,
+                text: c.sentence || c.label,
+                subject: c.subject,
+                predicate: c.predicate,
+                object: c.object,
+                negated: c.negated,
+                confidence: c.confidence,
+                sources: c.sources.map(s => s.source)
+            })),
+            edges: this.sessionGraph.edges.filter(e => ids.has(e.source) && ids.has(e.target))
+        };
+    }
+
     extractEntities(text) {
-        // Simplified entity extraction (Placeholder for actual NLP layer)
-        return text.match(/\b[A-Z][a-z]+(?:\s[A-Z][a-z]+)*\b/g) || [];
+        // Shared NER (same module the extension uses): [{ text, type, start, end, confidence }]
+        return uniqueEntities(extractEntities(text));
+    }
+
+    addEntity(entity, { countMention = true } = {}) {
+        const node = this.addNode(entity.text, 'entity', { entity_type: entity.type, confidence: entity.confidence, mentions: 0 });
+        if (countMention) node.mentions++;
+        node.confidence = Math.max(node.confidence || 0, entity.confidence);
+        return node;
+    }
+
+    extractClaims(text, source = null) {
+        // Identifies "X leads to Y" style claims (rule-based; see refineClaims for the model pass)
+        return this.claimExtractor.extract(text, source);
+    }
+
+    linkCooccurring(entityNodes) {
+        const cooccurring = entityNodes.slice(0, MAX_COOCCURRING_ENTITIES);
+        for (let i = 0; i < cooccurring.length; i++) {
+            for (let j = i + 1; j < cooccurring.length; j++) {
+                this.addEdge(cooccurring[i].id, cooccurring[j].id, EDGE_TYPES.CO_OCCURS);
+            }
+        }
+    }
+
+    /**
+     * Adds a claim node, links it to the entities named in its subject / object and to
+     * its source, and relates it to claims from other sources about the same subject.
+     * The same claim from another source reuses the node and joins its `sources`
+     * ({ source, sentence, span, confidence }); source / sentence stay those of the first.
+     */
+    addClaim(claim) {
+        const label = `${claim.subject} ${claim.predicate} ${claim.object}`;
+        const node = this.addNode(label, 'claim', { ...claim, sources: [] });
+        if (!node.sources.some(s => s.source === (claim.source || null))) {
+            node.sources.push({
+                source: claim.source || null,
+                sentence: claim.sentence || null,
+                span: claim.span || null,
+                confidence: claim.confidence
+            });
+        }
+
+        const entityIds = new Set();
+        this.extractEntities(`${claim.subject}. ${claim.object}`).forEach(entity => {
+            const entityNode = this.addEntity(entity, { countMention: false }); // Already counted from the paragraph
+            entityIds.add(entityNode.id);
+            this.addEdge(node.id, entityNode.id, EDGE_TYPES.MENTIONS);
+        });
+
+        const sourceId = claim.source && this.nodeId('source', claim.source);
+        if (sourceId && this.nodeIndex.has(sourceId)) {
+            this.addEdge(node.id, sourceId, EDGE_TYPES.CITES);
+        }
+
+        this.relateClaim(node, entityIds, claim.source || null);
+        this.claimEntities.set(node.id, entityIds);
+        return node;
     }
 
-    extractClaims(text) {
-        // Identifies "X leads to Y" style claims
-        return []; // In a real app, this uses specialized LLM workers
+    /**
+     * supports / contradicts: another source's claim about the same subject with an overlapping object.
+     */
+    relateClaim(node, entityIds, source) {
+        const subject = tokenize(node.subject).join(' ');
+        const objectTerms = new Set(tokenize(node.object));
+
+        for (const other of this.getClaims()) {
+            if (other.id === node.id || other.sources.some(s => s.source === source)) continue;
+
+            const sameSubject = subject && tokenize(other.subject).join(' ') === subject;
+            const sharedEntity = [...(this.claimEntities.get(other.id) || [])].some(id => entityIds.has(id));
+            if (!sameSubject && !sharedEntity) continue;
+            if (jaccard(objectTerms, new Set(tokenize(other.object))) < 0.3) continue;
+
+            const type = Boolean(other.negated) === Boolean(node.negated) ? EDGE_TYPES.SUPPORTS : EDGE_TYPES.CONTRADICTS;
+            this.addEdge(node.id, other.id, type);
+        }
     }
 
-    addNode(label, type) {
-        if (!this.sessionGraph.nodes.find(n => n.label === label)) {
-            this.sessionGraph.nodes.push({ id: `node-${Date.now()}-${Math.random()}`, label, type });
+    // Withdraws `source` from its claims; claims no other source backs are removed with their edges
+    removeClaims(source) {
+        const removed = new Set();
+        for (const node of this.getClaims()) {
+            if (!node.sources.some(s => s.source === source)) continue;
+            node.sources = node.sources.filter(s => s.source !== source);
+            if (node.sources.length === 0) {
+                removed.add(node.id);
+                continue;
+            }
+            if (node.source === source) Object.assign(node, node.sources[0]); // Next supporter becomes the primary
+        }
+
+        // Edges of removed claims, and surviving claims' citations of the withdrawn source
+        const sourceId = this.nodeId('source', source);
+        const dropped = edge => removed.has(edge.source) || removed.has(edge.target) ||
+            (edge.type === EDGE_TYPES.CITES && edge.target === sourceId && this.nodeIndex.get(edge.source)?.type === 'claim');
+
+        this.sessionGraph.edges = this.sessionGraph.edges.filter(e => !dropped(e));
+        for (const [key, edge] of this.edgeIndex) {
+            if (dropped(edge)) this.edgeIndex.delete(key);
+        }
+        this.sessionGraph.nodes = this.sessionGraph.nodes.filter(n => !removed.has(n.id));
+        removed.forEach(id => {
+            this.nodeIndex.delete(id);
+            this.claimEntities.delete(id);
+        });
+    }
+
+    getClaims() {
+        return this.sessionGraph.nodes.filter(n => n.type === 'claim');
+    }
+
+    /**
+     * Content-derived id: the same label of the same type always maps to the same node.
+     */
+    nodeId(type, label) {
+        return `${type}-${this.fingerprint(`${type}:${label}`).substring(0, 12)}`;
+    }
+
+    addNode(label, type, data = {}) {
+        const id = this.nodeId(type, label);
+        let node = this.nodeIndex.get(id);
+        if (!node) {
+            node = { id, label, type, ...data };
+            this.nodeIndex.set(id, node);
+            this.sessionGraph.nodes.push(node);
+        }
+        return node;
+    }
+
+    /**
+     * Repeated edges raise the weight instead of duplicating. co-occurs is undirected.
+     */
+    addEdge(sourceId, targetId, type) {
+        if (sourceId === targetId) return null;
+        if (type === EDGE_TYPES.CO_OCCURS && sourceId > targetId) [sourceId, targetId] = [targetId, sourceId];
+
+        const key = `${type}:${sourceId}->${targetId}`;
+        let edge = this.edgeIndex.get(key);
+        if (edge) {
+            edge.weight++;
+        } else {
+            edge = { source: sourceId, target: targetId, type, weight: 1 };
+            this.edgeIndex.set(key, edge);
+            this.sessionGraph.edges.push(edge);
+        }
+        return edge;
+    }
+
+    /**
+     * Resolves a node id or (case-insensitive) label.
+     */
+    findNode(idOrLabel, type = null) {
+        if (this.nodeIndex.has(idOrLabel)) return this.nodeIndex.get(idOrLabel);
+        const label = String(idOrLabel).toLowerCase();
+        return this.sessionGraph.nodes.find(n => n.label.toLowerCase() === label && (!type || n.type === type)) || null;
+    }
+
+    /**
+     * @param {string} idOrLabel
+     * @param {object} options - { edgeType, nodeType, direction: 'out' | 'in' | 'both' }
+     * @returns {Array<{ node, edge, direction }>}
+     */
+    neighbors(idOrLabel, { edgeType = null, nodeType = null, direction = 'both' } = {}) {
+        const node = this.findNode(idOrLabel);
+        if (!node) return [];
+
+        const result = [];
+        for (const edge of this.sessionGraph.edges) {
+            if (edgeType && edge.type !== edgeType) continue;
+            let otherId = null;
+            let dir = null;
+            if (edge.source === node.id && direction !== 'in') {
+                otherId = edge.target;
+                dir = 'out';
+            } else if (edge.target === node.id && direction !== 'out') {
+                otherId = edge.source;
+                dir = 'in';
+            }
+            const other = otherId && this.nodeIndex.get(otherId);
+            if (other && (!nodeType || other.type === nodeType)) result.push({ node: other, edge, direction: dir });
+        }
+        return result;
+    }
+
+    /**
+     * Breadth-first shortest path (edges treated as undirected).
+     * @returns {{ nodes: object[], edges: object[] } | null}
+     */
+    shortestPath(from, to, { edgeTypes = null, maxDepth = 6 } = {}) {
+        const start = this.findNode(from, 'entity') || this.findNode(from);
+        const goal = this.findNode(to, 'entity') || this.findNode(to);
+        if (!start || !goal) return null;
+        if (start.id === goal.id) return { nodes: [start], edges: [] };
+
+        const adjacency = this.adjacency(edgeTypes);
+        const previous = new Map([[start.id, null]]);
+        let frontier = [start.id];
+
+        for (let depth = 0; depth < maxDepth && frontier.length; depth++) {
+            const next = [];
+            for (const id of frontier) {
+                for (const { to: neighbor, edge } of adjacency.get(id) || []) {
+                    if (previous.has(neighbor)) continue;
+                    previous.set(neighbor, { from: id, edge });
+                    if (neighbor === goal.id) return this.tracePath(previous, goal.id);
+                    next.push(neighbor);
+                }
+            }
+            frontier = next;
+        }
+        return null;
+    }
+
+    tracePath(previous, goalId) {
+        const nodes = [];
+        const edges = [];
+        for (let id = goalId; id; id = previous.get(id) && previous.get(id).from) {
+            nodes.unshift(this.nodeIndex.get(id));
+            if (previous.get(id)) edges.unshift(previous.get(id).edge);
+        }
+        return { nodes, edges };
+    }
+
+    /**
+     * Top-k entities by weighted PageRank over the whole graph.
+     * @returns {Array<node & { centrality: number }>}
+     */
+    centralEntities(k = 10, { iterations = 20, damping = 0.85 } = {}) {
+        const nodes = this.sessionGraph.nodes;
+        if (!nodes.length) return [];
+
+        const adjacency = this.adjacency();
+        const strength = new Map(nodes.map(n => [n.id, (adjacency.get(n.id) || []).reduce((sum, a) => sum + a.edge.weight, 0)]));
+        let rank = new Map(nodes.map(n => [n.id, 1 / nodes.length]));
+
+        for (let i = 0; i < iterations; i++) {
+            const next = new Map(nodes.map(n => [n.id, (1 - damping) / nodes.length]));
+            for (const node of nodes) {
+                const out = strength.get(node.id);
+                if (!out) continue;
+                for (const { to, edge } of adjacency.get(node.id)) {
+                    next.set(to, next.get(to) + damping * rank.get(node.id) * (edge.weight / out));
+                }
+            }
+            rank = next;
+        }
+
+        return nodes
+            .filter(n => n.type === 'entity')
+            .map(n => ({ ...n, centrality: Math.round(rank.get(n.id) * 1e4) / 1e4 }))
+            .sort((a, b) => b.centrality - a.centrality)
+            .slice(0, k);
+    }
+
+    // Undirected adjacency lists: id -> [{ to, edge }]
+    adjacency(edgeTypes = null) {
+        const adjacency = new Map();
+        const link = (a, b, edge) => {
+            if (!adjacency.has(a)) adjacency.set(a, []);
+            adjacency.get(a).push({ to: b, edge });
+        };
+        for (const edge of this.sessionGraph.edges) {
+            if (edgeTypes && !edgeTypes.includes(edge.type)) continue;
+            link(edge.source, edge.target, edge);
+            link(edge.target, edge.source, edge);
         }
+        return adjacency;
     }
 
     getGraph() {
@@ -58,4 +598,4 @@ class ContextGraph {
     }
 }
 
-module.exports = { ContextSnapshotter, ContextGraph };
+module.exports = { ContextSnapshotter, ContextGraph, EDGE_TYPES, SNAPSHOT_TTL_MS };
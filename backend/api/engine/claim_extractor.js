@@ -0,0 +1,139 @@
+// Predicates, most specific first. Each match splits a sentence into subject / predicate / object.
+const NEGATED_AUX = /\b(?:does|do|did|can|could|will|would|should|may|might)(?:\s+not|n't)\s+\w+/i;
+const COPULA = /\b(?:is|are|was|were|has|have|had|will|can|could|may|might)(?:n't|\s+not)?(?:\s+(?:be|been|being))?(?:\s+\w+ed)?\b/i;
+const VERB = /\b(?:leads? to|led to|results? in|resulted in|depends? on|consists? of|causes?|caused|increases?|increased|reduces?|reduced|decreases?|decreased|improves?|improved|costs?|lasts?|supports?|includes?|contains?|uses?|requires?|outperforms?|beats?|offers?|provides?|became|becomes?|shows?|showed|found|finds|reports?|reported|claims?|claimed|estimates?|estimated|announced|released|launched|acquired|owns|produces?|produced|makes|made|weighs?|features?|delivers?|achieves?|achieved)\b/i;
+
+const NEGATION = /\b(?:not|never|no)\b|n't\b/i;
+const LEADING_CONNECTOR = /^(?:however|but|and|also|meanwhile|moreover|in fact|overall|still|yet|so|thus|therefore|according to [^,]+),?\s+/i;
+const PRONOUN_SUBJECT = /^(?:it|they|this|that|these|those|he|she|we|you|i|there)$/i;
+
+const MAX_SUBJECT_WORDS = 10;
+const MAX_OBJECT_WORDS = 20;
+
+const MODEL_PROMPT = `Extract the factual claims from the text below.
+Return ONLY a JSON array. Each item: {"subject": "...", "predicate": "...", "object": "...", "sentence": "<the exact sentence it came from>"}.
+Skip opinions without content, questions and navigation text.
+
+Text:
+`;
+
+/**
+ * Subject / predicate / object claim extraction.
+ * `extract` is a synchronous rule-based pass; `extractWithModel` asks a LocalBridge
+ * model for the same shape and falls back to the rules when no model answers.
+ */
+class ClaimExtractor {
+    constructor(config = {}) {
+        this.bridge = config.bridge || null;
+        this.model = config.model || null;
+    }
+
+    get modelEnabled() {
+        return Boolean(this.bridge && this.model);
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} source - URL (or snapshot id) the text came from
+     * @returns {Array<{subject, predicate, object, negated, sentence, span, source, confidence, method}>}
+     */
+    extract(text, source = null) {
+        const claims = [];
+        for (const { sentence, start, end } of this.sentences(text)) {
+            const claim = this.parseSentence(sentence);
+            if (!claim) continue;
+            claims.push({ ...claim, sentence, span: { start, end }, source, method: 'rules' });
+        }
+        return claims;
+    }
+
+    /**
+     * @param {object} options - { signal: AbortSignal } stops the model pass; an abort is rethrown, not a rule fallback
+     */
+    async extractWithModel(text, source = null, options = {}) {
+        if (!this.modelEnabled || !(await this.bridge.checkHealth())) {
+            return this.extract(text, source);
+        }
+
+        try {
+            const raw = await this.bridge.generate(`${MODEL_PROMPT}${text.substring(0, 4000)}`, this.model, '', { signal: options.signal });
+            const parsed = JSON.parse(raw.substring(raw.indexOf('['), raw.lastIndexOf(']') + 1));
+
+            const claims = parsed
+                .filter(c => c && c.subject && c.predicate && c.object)
+                .map(c => {
+                    const sentence = String(c.sentence || '').trim();
+                    const start = sentence ? text.indexOf(sentence) : -1;
+                    return {
+                        subject: String(c.subject).trim(),
+                        predicate: String(c.predicate).trim(),
+                        object: String(c.object).trim(),
+                        negated: NEGATION.test(c.predicate),
+                        sentence: sentence || null,
+                        span: start >= 0 ? { start, end: start + sentence.length } : null,
+                        source,
+                        confidence: start >= 0 ? 0.8 : 0.6, // Unverifiable sentence: trust it less
+                        method: 'model'
+                    };
+                });
+
+            return claims.length ? claims : this.extract(text, source);
+        } catch (err) {
+            if (options.signal?.aborted) throw err;
+            console.warn(`[CLAIMS] Model pass failed (${err.message}). Using rule-based claims.`);
+            return this.extract(text, source);
+        }
+    }
+
+    parseSentence(sentence) {
+        if (sentence.endsWith('?') || sentence.length < 20) return null;
+
+        const body = sentence.replace(/[.!]+$/, '');
+        const match = [NEGATED_AUX, COPULA, VERB]
+            .map(pattern => pattern.exec(body))
+            .filter(Boolean)
+            .sort((a, b) => a.index - b.index)[0];
+        if (!match) return null;
+
+        let subject = body.substring(0, match.index).trim().replace(LEADING_CONNECTOR, '');
+        // Long lead-ins ("In a 2023 study of 400 phones, the battery ...") keep only the last clause
+        if (subject.split(/\s+/).length > MAX_SUBJECT_WORDS) subject = subject.split(/,\s*/).pop();
+        subject = subject.replace(/[,;:]+$/, '').trim();
+
+        let object = body.substring(match.index + match[0].length)
+            .split(/[;]|,\s+(?:which|but|while|although|whereas)\b/)[0]
+            .trim();
+        object = object.split(/\s+/).slice(0, MAX_OBJECT_WORDS).join(' ').replace(/[,:]+$/, '');
+
+        const subjectWords = subject.split(/\s+/).filter(Boolean).length;
+        if (subjectWords === 0 || subjectWords > MAX_SUBJECT_WORDS || !object) return null;
+
+        const predicate = match[0].trim().toLowerCase();
+        return {
+            subject,
+            predicate,
+            object,
+            negated: NEGATION.test(predicate),
+            confidence: PRONOUN_SUBJECT.test(subject) ? 0.4 : 0.6
+        };
+    }
+
+    // Sentences with their character offsets in `text`
+    sentences(text) {
+        const out = [];
+        // A period followed by a non-space ("3.5", "e.g.x") does not end a sentence
+        const pattern = /(?:[^.!?\n]|[.!?](?=\S))+(?:[.!?]+|$)/g;
+        let match;
+        while ((match = pattern.exec(text || '')) !== null) {
+            const raw = match[0];
+            const lead = raw.length - raw.trimStart().length;
+            const sentence = raw.trim();
+            if (!sentence) continue;
+            const start = match.index + lead;
+            out.push({ sentence, start, end: start + sentence.length });
+        }
+        return out;
+    }
+}
+
+module.exports = { ClaimExtractor };
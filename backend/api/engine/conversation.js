@@ -0,0 +1,140 @@
+const { LocalBridge } = require('./studio/local_bridge');
+
+const SYSTEM_PROMPT = `You are a research assistant answering follow-up questions in an ongoing conversation.
+Ground your answers in the latest search answer and its numbered sources below, and cite them as [n].
+Resolve references like "the cheaper one" or "that study" against that answer and the conversation so far.
+If the sources do not cover the question, say so and suggest a new search. Be concise.`;
+
+const DEFAULT_CONTEXT_TOKENS = 4096; // Window we run the model with unless CHAT_CONTEXT_TOKENS says otherwise
+const REPLY_RESERVE = 0.25; // Share of the window left free for the reply
+const CHARS_PER_TOKEN = 4; // Rough estimate; good enough to stay under the window
+const MAX_GROUNDING_SOURCES = 8;
+
+/**
+ * Multi-turn chat over a session. History lives in the session's ContextGraph (CHAT
+ * interactions), so it is wiped with the session; the latest search answer the Looper
+ * logged (ANSWER) grounds every turn, and only the turns since that answer are history.
+ * Oldest turns are dropped to fit the model's context window.
+ */
+class Conversation {
+    /**
+     * @param {object} config - { bridge, model (CHAT_MODEL, else SYNTHESIS_MODEL), contextTokens (CHAT_CONTEXT_TOKENS) }
+     */
+    constructor(config = {}) {
+        this.bridge = config.bridge || new LocalBridge();
+        this.model = config.model || process.env.CHAT_MODEL || process.env.SYNTHESIS_MODEL || 'llama3';
+        this.contextTokens = config.contextTokens || Number(process.env.CHAT_CONTEXT_TOKENS) || DEFAULT_CONTEXT_TOKENS;
+        this.windows = new Map(); // model -> window actually used
+    }
+
+    /**
+     * Answers `content` as the next turn of the session's conversation and records both turns.
+     * @param {ContextGraph} graph - The session graph
+     * @param {object} options - { signal, onToken: (token) => void to stream the reply }
+     * @returns {Promise<{ message: {role, content}, model, grounded_on, context: { window_tokens, prompt_tokens, dropped_messages } }>}
+     */
+    async reply(graph, content, options = {}) {
+        const window = await this.contextWindow();
+        const answer = graph.getInteractions('ANSWER').slice(-1)[0]?.payload || null;
+        const { messages, promptTokens, dropped } = this.buildMessages(this.history(graph), answer, content, window);
+
+        let reply = '';
+        const chatOptions = { signal: options.signal, num_ctx: window };
+        if (options.onToken) {
+            for await (const token of this.bridge.chatStream(messages, this.model, chatOptions)) {
+                reply += token;
+                options.onToken(token);
+            }
+        } else {
+            reply = await this.bridge.chat(messages, this.model, chatOptions);
+        }
+
+        // Only a finished exchange joins the history
+        graph.logInteraction('CHAT', { role: 'user', content });
+        graph.logInteraction('CHAT', { role: 'assistant', content: reply, model: this.model });
+
+        return {
+            message: { role: 'assistant', content: reply },
+            model: this.model,
+            grounded_on: answer ? answer.query : null,
+            context: { window_tokens: window, prompt_tokens: promptTokens, dropped_messages: dropped }
+        };
+    }
+
+    // Turns about an earlier search would be read against the new answer's sources
+    history(graph) {
+        const interactions = graph.getInteractions();
+        return interactions
+            .slice(interactions.findLastIndex(i => i.type === 'ANSWER') + 1)
+            .filter(i => i.type === 'CHAT')
+            .map(i => ({ role: i.payload.role, content: i.payload.content }));
+    }
+
+    /**
+     * System prompt (with the grounding answer), then as much recent history as fits
+     * the window minus the reply reserve, then the new question. History is dropped
+     * oldest first and never starts on an assistant turn.
+     */
+    buildMessages(history, answer, content, window) {
+        const budget = Math.floor(window * (1 - REPLY_RESERVE));
+        const question = { role: 'user', content };
+
+        let grounding = this.grounding(answer);
+        const fixed = () => this.estimateTokens(SYSTEM_PROMPT + grounding) + this.estimateTokens(content);
+        if (fixed() > budget) {
+            // Long answers lose their tail before the question loses anything
+            const room = Math.max(0, budget - this.estimateTokens(SYSTEM_PROMPT) - this.estimateTokens(content));
+            grounding = grounding.substring(0, room * CHARS_PER_TOKEN);
+        }
+
+        let used = fixed();
+        let kept = [];
+        for (let i = history.length - 1; i >= 0; i--) {
+            const cost = this.estimateTokens(history[i].content);
+            if (used + cost > budget) break;
+            used += cost;
+            kept.unshift(history[i]);
+        }
+        while (kept.length && kept[0].role !== 'user') kept = kept.slice(1);
+
+        const system = { role: 'system', content: grounding ? `${SYSTEM_PROMPT}\n\n${grounding}` : SYSTEM_PROMPT };
+        return {
+            messages: [system, ...kept, question],
+            promptTokens: this.estimateTokens(system.content) + kept.reduce((sum, m) => sum + this.estimateTokens(m.content), 0) + this.estimateTokens(content),
+            dropped: history.length - kept.length
+        };
+    }
+
+    grounding(answer) {
+        if (!answer) return '';
+        const sources = (answer.sources || [])
+            .slice(0, MAX_GROUNDING_SOURCES)
+            .map(s => `[${s.index}] ${s.title} (${s.url})${s.snippet ? `: ${s.snippet}` : ''}`);
+        const table = (answer.comparison?.rows || []).map(row => `${row.aspect || 'Overview'}: ${row.cells
+            .map(cell => `${cell.subject} = ${cell.text || 'not found'}${cell.marker ? ` [${cell.marker}]` : ''}`)
+            .join('; ')}`);
+
+        return [
+            `Latest search: ${answer.query}`,
+            `Answer: ${answer.answer}`,
+            table.length ? `Comparison:\n${table.join('\n')}` : '',
+            sources.length ? `Sources:\n${sources.join('\n')}` : ''
+        ].filter(Boolean).join('\n');
+    }
+
+    // The configured window, capped by what the model was trained for when the bridge knows it
+    async contextWindow() {
+        if (this.windows.has(this.model)) return this.windows.get(this.model);
+
+        const trained = await this.bridge.contextLength(this.model);
+        if (!trained) return this.contextTokens; // Unknown (or bridge down): ask again next turn
+        this.windows.set(this.model, Math.min(trained, this.contextTokens));
+        return this.windows.get(this.model);
+    }
+
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+    }
+}
+
+module.exports = { Conversation };
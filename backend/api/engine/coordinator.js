@@ -1,4 +1,38 @@
 const { LocalBridge } = require('./studio/local_bridge');
+const { IntentClassifier } = require('./intent_classifier');
+const { QueryDecomposer } = require('./decomposer');
+const { tokenize } = require('./text_utils');
+
+const classifier = new IntentClassifier();
+const decomposer = new QueryDecomposer();
+
+// Intents whose plans are split into sub-questions (comparative questions usually land in PRODUCT_COMPARISON)
+const DECOMPOSED_INTENTS = ['DEEP_RESEARCH', 'PRODUCT_COMPARISON'];
+
+const EXPERT_REVIEW_DOMAINS = ['rtings.com', 'consumerreports.org', 'nytimes.com', 'tomsguide.com', 'theverge.com', 'anandtech.com', 'dpreview.com'];
+
+// What each bubble intent (see Navigator) changes in a plan
+const INTENT_MODIFIERS = {
+    mode_deep: { depth: 'deep', breadth: 'massive' },
+    mode_fast: { depth: 'fast', deep_dive: 1 },
+    mode_compare: { depth: 'deep', breadth: 'massive', query_terms: ['comparison'] },
+    mode_images: { result_type: 'images', deep_dive: 0 },
+    mode_offline: { provider: 'local-index' },
+    filter_price_low: { price_max: 100 },
+    filter_action: { scene_filters: ['action'] },
+    filter_dialogue: { scene_filters: ['dialogue'] },
+    filter_4k: { resolution: '2160p', query_terms: ['4K'] },
+    source_expert: { include_domains: EXPERT_REVIEW_DOMAINS, query_terms: ['review'] },
+    source_social: { include_domains: ['reddit.com'] },
+    patent_us: { include_domains: ['patents.google.com'], query_terms: ['US patent'] },
+    patent_eu: { include_domains: ['patents.google.com', 'epo.org'], query_terms: ['EP patent'] },
+    search_art: { include_domains: ['patents.google.com', 'scholar.google.com'], query_terms: ['prior art'] },
+    // Already carried by the bubble's query text
+    complete_query: {},
+    focus_entity: {},
+    resolve_gap: {},
+    resolve_conflict: {}
+};
 
 class Coordinator {
     /**
@@ -8,67 +42,307 @@ class Coordinator {
      * 2. MEDIA_COMPILATION (Video processing)
      * 3. OFFLINE_ANALYSIS (Local Llama/Patents)
      * 4. HYBRID (Research + Compile)
+     * 5. PRODUCT_COMPARISON (Reviews + specs)
+     * 6. HOW_TO (Guides + tutorial videos)
+     *
+     * @param {string} query
+     * @param {object} options - { events: EventEmitter, intents: Array<string | { type, ...params }>, safety: resolved SafetyPolicy }
      */
-    static async plan(query, context = {}) {
+    static async plan(query, options = {}) {
         const intent = await this.classifyIntent(query);
 
-        console.log(`[COORDINATOR] Intent Detected: ${intent.type}`);
+        const detail = intent.components ? ` (${intent.components.join(' + ')})` : intent.fallback_from ? ` (too unsure of ${intent.fallback_from})` : '';
+        console.log(`[COORDINATOR] Intent Detected: ${intent.type}${detail}`);
         console.log(`[COORDINATOR] Specialist Assigned: ${intent.specialist}`);
 
-        return {
+        const plan = {
             id: `plan-${Date.now()}`,
             intent: intent,
             steps: this.generateSteps(intent, query)
         };
+        this.decompose(plan, query);
+        this.applyIntents(plan, query, options.intents);
+        this.applySafety(plan, options.safety);
+        plan.issued_queries = this.issuedQueries(plan, query);
+        this.announce(plan, options.events);
+        return plan;
     }
 
-    static async classifyIntent(query) {
-        const q = query.toLowerCase();
+    // What the first round searches for, so replan doesn't repeat a sub-question word for word
+    static issuedQueries(plan, query) {
+        const queries = [
+            query,
+            ...plan.steps.map(step => step.params && step.params.query).filter(Boolean),
+            ...(plan.sub_questions || []).map(sq => sq.question)
+        ];
+        return [...new Set(queries.map(q => q.toLowerCase()))];
+    }
+
+    /**
+     * Research and comparison plans: one search per sub-question next to the search for
+     * the whole query, so each part gets its own sources (and its own coverage score).
+     */
+    static decompose(plan, query) {
+        const types = plan.intent.components || [plan.intent.type];
+        if (!types.some(type => DECOMPOSED_INTENTS.includes(type))) return plan;
+
+        const decomposition = decomposer.decompose(query);
+        if (!decomposition) return plan;
+
+        plan.decomposition = decomposition;
+        plan.sub_questions = decomposition.sub_questions;
+        plan.steps = [
+            ...plan.steps.map(step => (step.tool === 'web_search' && !step.params.query
+                ? { ...step, params: { ...step.params, deep_dive: 1 } }
+                : step)),
+            ...decomposition.sub_questions.map(sq => ({
+                tool: 'web_search',
+                params: { query: sq.question, sub_question: sq.id, deep_dive: 1 }
+            }))
+        ];
+
+        console.log(`[COORDINATOR] Decomposed into ${plan.sub_questions.length} sub-questions: ${plan.sub_questions.map(sq => sq.question).join(' | ')}`);
+        return plan;
+    }
+
+    /**
+     * Turns bubble intents into concrete plan changes: depth, source restrictions,
+     * result type, price constraints and media filters. Unknown intents are listed as ignored.
+     */
+    static applyIntents(plan, query, intents = []) {
+        if (!intents || !intents.length) return plan;
+
+        const modifiers = this.resolveIntents(intents);
+        if (modifiers.breadth) plan.intent = { ...plan.intent, breadth: modifiers.breadth };
+        plan.modifiers = modifiers;
+        plan.steps = plan.steps.map(step => this.modifyStep(step, query, modifiers));
+
+        console.log(`[COORDINATOR] Intents applied: ${modifiers.applied.join(', ') || 'none'}`);
+        return plan;
+    }
+
+    /**
+     * Stamps the resolved safety level on every step that searches or handles media.
+     */
+    static applySafety(plan, safety) {
+        if (!safety) return plan;
+        plan.safety = safety;
+        plan.steps = plan.steps.map(step => {
+            if (step.tool === 'web_search' || step.tool === 'scout_videos') {
+                return { ...step, params: { ...step.params, safe_search: safety.level } };
+            }
+            if (['media_processor', 'analyze_scenes', 'compile_video'].includes(step.tool)) {
+                return { ...step, params: { ...step.params, filter: safety.media_filter } };
+            }
+            return step;
+        });
+        return plan;
+    }
 
-        // Heuristic Classification (Phase 1)
-        // In Phase 2, this will use a router LLM (like Mixtral)
+    static resolveIntents(intents) {
+        const modifiers = { applied: [], ignored: [] };
 
-        if (q.includes('compile') || q.includes('scene') || q.includes('video') || q.includes('movie')) {
-            return {
-                type: 'MEDIA_COMPILATION',
-                specialist: 'StudioDirector',
-                confidence: 0.9
-            };
+        for (const raw of [].concat(intents)) {
+            const intent = typeof raw === 'string' ? { type: raw } : (raw || {});
+            const base = INTENT_MODIFIERS[intent.type];
+            if (!base) {
+                modifiers.ignored.push(intent.type || String(raw));
+                continue;
+            }
+
+            const change = { ...base };
+            if (intent.type === 'filter_price_low') {
+                change.price_max = Number(intent.max) > 0 ? Number(intent.max) : base.price_max;
+                change.query_terms = [`under $${change.price_max}`];
+            }
+
+            for (const [key, value] of Object.entries(change)) {
+                if (Array.isArray(value)) {
+                    modifiers[key] = [...new Set([...(modifiers[key] || []), ...value])];
+                } else {
+                    modifiers[key] = value;
+                }
+            }
+            modifiers.applied.push(intent.type);
         }
+        return modifiers;
+    }
+
+    static modifyStep(step, query, modifiers) {
+        const params = { ...step.params };
+        const withTerms = text => {
+            const missing = (modifiers.query_terms || []).filter(t => !text.toLowerCase().includes(t.toLowerCase()));
+            return [text, ...missing].join(' ');
+        };
 
-        if (q.includes('patent') || q.includes('offline') || q.includes('local') || q.includes('private')) {
-            return {
-                type: 'OFFLINE_ANALYSIS',
-                specialist: 'LocalAnalyst', // Uses Llama/Mixtral
-                confidence: 0.95
-            };
+        switch (step.tool) {
+            case 'web_search':
+                if (modifiers.query_terms) params.query = withTerms(params.query || query);
+                if (modifiers.include_domains) params.include_domains = modifiers.include_domains;
+                if (modifiers.price_max) params.price_max = modifiers.price_max;
+                if (modifiers.result_type) params.categories = modifiers.result_type;
+                if (modifiers.provider) params.provider = modifiers.provider;
+                if (modifiers.deep_dive !== undefined) params.deep_dive = modifiers.deep_dive;
+                if (modifiers.depth) params.depth = modifiers.depth;
+                break;
+            case 'scout_videos':
+                if (modifiers.query_terms) params.query = withTerms(params.query || query);
+                break;
+            case 'analyze_scenes':
+                if (modifiers.scene_filters) params.filters = modifiers.scene_filters;
+                break;
+            case 'compile_video':
+                if (modifiers.resolution) params.resolution = modifiers.resolution;
+                break;
         }
+        return { ...step, params };
+    }
 
-        if (q.includes('compare') || q.includes('research') || q.includes('find') || q.includes('why')) {
-            return {
-                type: 'DEEP_RESEARCH',
-                specialist: 'RecursiveAgent',
-                confidence: 0.85,
-                breadth: 'massive' // Massive search breadth
-            };
+    /**
+     * Scores every intent type (see IntentClassifier); the result carries the full
+     * distribution, and `components` when the query is a HYBRID of two strong intents.
+     */
+    static async classifyIntent(query) {
+        return classifier.classify(query);
+    }
+
+    /**
+     * Builds a follow-up plan from the Looper's audit.
+     * @param {string} query - User's original query
+     * @param {string|string[]} missingInfo - What the audit says is still missing
+     * @param {ContextGraph} context - Session memory (used for visited URLs and known entities)
+     * @param {object} previousPlan - The plan that just ran
+     * @param {object} options - { events: EventEmitter, coverage: the judge's per-sub-question coverage }
+     * @returns {Promise<object|null>} The follow-up plan, or null when the gaps name nothing new to search for
+     */
+    static async replan(query, missingInfo, context = null, previousPlan = null, options = {}) {
+        const gaps = [].concat(missingInfo || []).filter(Boolean);
+        const visited = this.visitedUrls(context);
+        const issued = new Set([query, ...(previousPlan?.issued_queries || [])].map(q => q.toLowerCase()));
+        const subQuestions = previousPlan?.sub_questions || null;
+
+        // Decomposed plans chase their weak sub-questions first
+        const targeted = subQuestions ? this.subQuestionQueries(subQuestions, options.coverage) : [];
+        const subQueries = [...new Set([...targeted, ...this.refineQueries(query, gaps, this.knownEntities(context, query))])]
+            .filter(q => !issued.has(q.toLowerCase()))
+            .slice(0, Math.max(3, Math.min(targeted.length, 6)));
+
+        console.log(`[COORDINATOR] Replanning for gaps: ${gaps.join('; ') || 'unspecified'}`);
+        console.log(`[COORDINATOR] Refined queries: ${subQueries.join(' | ') || 'none'}`);
+        if (subQueries.length === 0) return null;
+
+        const baseParams = (previousPlan?.steps || []).find(s => s.tool === 'web_search')?.params || {};
+
+        const modifiers = previousPlan?.modifiers || null;
+        const plan = {
+            id: `plan-${Date.now()}`,
+            parent: previousPlan?.id || null,
+            intent: previousPlan?.intent || { type: 'GENERAL_QUERY', specialist: 'QuickSearch', confidence: 0.5 },
+            ...(modifiers ? { modifiers } : {}),
+            ...(subQuestions ? { decomposition: previousPlan.decomposition, sub_questions: subQuestions } : {}),
+            missing_info: gaps,
+            issued_queries: [...issued, ...subQueries.map(q => q.toLowerCase())],
+            steps: subQueries.map(subQuery => ({
+                tool: 'web_search',
+                params: {
+                    ...baseParams,
+                    query: subQuery,
+                    exclude_urls: visited
+                }
+            }))
+        };
+        // Intent refinements hold for the whole search, not just the first round
+        if (modifiers) plan.steps = plan.steps.map(step => this.modifyStep(step, step.params.query, modifiers));
+        this.applySafety(plan, previousPlan?.safety);
+        this.announce(plan, options.events);
+        return plan;
+    }
+
+    // Sub-questions the judge scored below the bar, with the fact it named as missing
+    static subQuestionQueries(subQuestions, coverage = []) {
+        return subQuestions
+            .map(sq => ({ sq, verdict: (coverage || []).find(c => c.question === sq.question) }))
+            .filter(({ verdict }) => verdict && verdict.score < 0.85)
+            .sort((a, b) => a.verdict.score - b.verdict.score)
+            .map(({ sq, verdict }) => {
+                const missing = verdict.missing && !this.isGenericGap(verdict.missing) ? verdict.missing : '';
+                const extra = tokenize(missing).filter(t => !tokenize(sq.question).includes(t)).length ? ` ${missing}` : '';
+                return `${sq.question}${extra}`;
+            });
+    }
+
+    static announce(plan, events) {
+        if (!events) return;
+        events.emit('plan_created', {
+            plan_id: plan.id,
+            parent: plan.parent || null,
+            intent: plan.intent.type,
+            components: plan.intent.components || null,
+            safety: plan.safety ? plan.safety.level : null,
+            intents: plan.modifiers ? plan.modifiers.applied : [],
+            sub_questions: plan.sub_questions ? plan.sub_questions.map(sq => sq.question) : null,
+            steps: plan.steps.map(s => ({ tool: s.tool, query: s.params.query || null }))
+        });
+    }
+
+    /**
+     * Turns audit gaps into concrete search strings: specific gaps are appended to the query,
+     * and entities the sources surfaced become pivots. Generic gaps ("Need more details") add nothing.
+     */
+    static refineQueries(query, gaps, entities) {
+        const queries = [];
+
+        for (const gap of gaps) {
+            if (this.isGenericGap(gap)) continue;
+            queries.push(`${query} ${gap}`.trim());
         }
 
-        // Explicit / Adult Content handling - No filters
-        if (q.includes('porn') || q.includes('xxx') || q.includes('adult') || q.includes('nsfw') || q.includes('sex')) {
-            return {
-                type: 'ADULT_CONTENT',
-                specialist: 'RecursiveAgent', // Uses the same powerful engine, just unfiltered
-                confidence: 0.99,
-                privacy_mode: 'maximum', // Force privacy shield
-                breadth: 'massive' // Ensure deep curation for adult content too
-            };
+        // Pivot on entities the graph surfaced that the user didn't name
+        for (const entity of entities.slice(0, 2)) {
+            queries.push(`${query} ${entity}`);
         }
 
-        return { type: 'GENERAL_QUERY', specialist: 'QuickSearch', confidence: 0.5 };
+        return [...new Set(queries)];
+    }
+
+    // Gaps that say "more" without saying what
+    static isGenericGap(gap) {
+        return /^(need more details|search failed to yield content)$/i.test(String(gap).trim());
+    }
+
+    // Pages already read; hits that were only listed stay eligible for a follow-up read
+    static visitedUrls(context) {
+        if (!context || typeof context.getDocuments !== 'function') return [];
+        return context.getDocuments().map(d => d.url).filter(Boolean);
+    }
+
+    // Most central entities first, so refinements follow what the sources keep coming back to
+    static knownEntities(context, query) {
+        if (!context || typeof context.centralEntities !== 'function') return [];
+        const q = query.toLowerCase();
+        return context.centralEntities(10)
+            .filter(n => typeof n.label === 'string' && !q.includes(n.label.toLowerCase()))
+            .map(n => n.label);
     }
 
     static generateSteps(intent, query) {
         switch (intent.type) {
+            case 'HYBRID': {
+                // Each component's steps, with one shared web search
+                const steps = intent.components.flatMap(type => this.generateSteps({ ...intent, type }, query));
+                const firstSearch = steps.findIndex(s => s.tool === 'web_search');
+                return steps.filter((s, i) => s.tool !== 'web_search' || i === firstSearch || s.params.query);
+            }
+            case 'PRODUCT_COMPARISON':
+                return [
+                    { tool: 'web_search', params: { depth: 'recursive' } },
+                    { tool: 'web_search', params: { query: `${query} specs review`, deep_dive: 1 } }
+                ];
+            case 'HOW_TO':
+                return [
+                    { tool: 'web_search', params: { query: `${query} step by step guide` } },
+                    { tool: 'web_search', params: { query: `${query} tutorial`, categories: 'videos', deep_dive: 0 } }
+                ];
             case 'MEDIA_COMPILATION':
                 return [
                     { tool: 'scout_videos', params: { query } },
@@ -77,12 +351,12 @@ class Coordinator {
                 ];
             case 'OFFLINE_ANALYSIS':
                 return [
-                    { tool: 'local_inference', params: { model: 'llama-3', system_prompt: 'expert_patent_attorney' } }
+                    { tool: 'local_inference', params: { system_prompt: 'expert_patent_attorney' } } // Model: LOCAL_MODEL
                 ];
             case 'ADULT_CONTENT':
                 return [
-                    { tool: 'web_search', params: { depth: 'deep', safe_search: 'off' } }, // Explicitly OFF
-                    { tool: 'media_processor', params: { filter: 'none' } } // No censorship on media
+                    { tool: 'web_search', params: { depth: 'deep' } }, // Filtering comes from the safety policy
+                    { tool: 'media_processor', params: {} }
                 ];
             default:
                 return [
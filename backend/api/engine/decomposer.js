@@ -0,0 +1,93 @@
+const { tokenize } = require('./text_utils');
+
+const MAX_SUB_QUESTIONS = 6;
+
+// Leading phrasing that says "compare" without naming anything
+const COMPARE_PREFIX = /^(please\s+)?(compare|comparison of|contrast|(what is|what's) the difference between|differences? between)\s+/i;
+const VERSUS = /\s(vs\.?|versus|against)\s/i;
+// "X and Y on price", "X vs Y in terms of battery life", "X or Y for gaming"
+const ASPECT_SPLIT = /\s+(?:on|in terms of|regarding|with respect to|when it comes to|for|by)\s+/i;
+const SUBJECT_SPLIT = /\s*(?:\bvs\.?|\bversus\b|\bagainst\b|\bor\b|\band\b|,)\s*/i;
+const ASPECT_LIST_SPLIT = /\s*(?:\band\b|,|&|\/)\s*/i;
+// Multi-part questions: "why did X fall and what was the impact on Y"
+const PART_SPLIT = /\s*(?:[;?]|,?\s+and\s+(?=(?:what|why|how|who|when|where|which|is|are|does|do|did|was|were)\b))\s*/i;
+// Two aspects sharing one topic: "the causes and effects of inflation"
+const SHARED_TOPIC = /^(.*?)\b(\w+) and (\w+) (of|on|in|for|behind) (.+)$/i;
+
+/**
+ * Splits comparative and multi-part questions into sub-questions, each searched on its
+ * own and judged on its own. "compare X and Y on price and battery life" becomes
+ * subjects [X, Y] x aspects [price, battery life]; "why did X happen and what was
+ * the impact" and "the causes and effects of X" become their two parts.
+ * Returns null for single questions.
+ */
+class QueryDecomposer {
+    /**
+     * @param {string} query
+     * @returns {{ kind: 'comparison' | 'multi_part', subjects: string[], aspects: string[],
+     *   sub_questions: Array<{ id, question, subject, aspect }> } | null}
+     */
+    decompose(query) {
+        const text = (query || '').trim().replace(/[?.!]+$/, '');
+        return this.comparison(text) || this.parts(text);
+    }
+
+    comparison(text) {
+        if (!COMPARE_PREFIX.test(text) && !VERSUS.test(text)) return null;
+        const body = text.replace(COMPARE_PREFIX, '');
+        const [subjectPart, ...rest] = body.split(ASPECT_SPLIT);
+        const subjects = this.list(subjectPart, SUBJECT_SPLIT);
+        if (subjects.length < 2) return null;
+
+        const aspects = rest.length ? this.list(rest.join(' '), ASPECT_LIST_SPLIT) : [];
+        const pairs = aspects.length
+            ? subjects.flatMap(subject => aspects.map(aspect => ({ subject, aspect })))
+            : subjects.map(subject => ({ subject, aspect: null }));
+
+        return {
+            kind: 'comparison',
+            subjects,
+            aspects,
+            sub_questions: pairs.slice(0, MAX_SUB_QUESTIONS).map((p, i) => ({
+                id: `sq-${i + 1}`,
+                question: p.aspect ? `${p.subject} ${p.aspect}` : p.subject,
+                subject: p.subject,
+                aspect: p.aspect
+            }))
+        };
+    }
+
+    parts(text) {
+        let parts = this.list(text, PART_SPLIT);
+        const shared = parts.length === 1 && text.match(SHARED_TOPIC);
+        if (shared) {
+            const [, lead, first, second, preposition, topic] = shared;
+            parts = [first, second].map(aspect => `${lead}${aspect} ${preposition} ${topic}`.trim());
+        }
+        if (parts.length < 2) return null;
+
+        return {
+            kind: 'multi_part',
+            subjects: [],
+            aspects: [],
+            sub_questions: parts.slice(0, MAX_SUB_QUESTIONS).map((question, i) => ({
+                id: `sq-${i + 1}`,
+                question,
+                subject: null,
+                aspect: null
+            }))
+        };
+    }
+
+    // Non-empty, de-duplicated items that still say something once stopwords are gone
+    list(text, separator) {
+        const seen = new Set();
+        return (text || '')
+            .split(separator)
+            .map(item => item.trim().replace(/^(the|a|an)\s+/i, ''))
+            .filter(item => item && (tokenize(item).length > 0 || /\d/.test(item)))
+            .filter(item => !seen.has(item.toLowerCase()) && seen.add(item.toLowerCase()));
+    }
+}
+
+module.exports = { QueryDecomposer };
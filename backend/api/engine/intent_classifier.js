@@ -0,0 +1,251 @@
+const { LocalBridge } = require('./studio/local_bridge');
+
+/**
+ * Intent types with the specialist that handles them, labelled example queries
+ * for similarity scoring, and lexical cues that add weight on an explicit match.
+ */
+const INTENT_PROFILES = {
+    DEEP_RESEARCH: {
+        specialist: 'RecursiveAgent',
+        breadth: 'massive',
+        cues: /\b(research|why|find out|investigate|evidence|studies|study|history of|causes? of|impact of|effects? of)\b/,
+        examples: [
+            'why did the roman empire collapse',
+            'research the long term effects of intermittent fasting',
+            'find out what caused the 2008 financial crisis',
+            'evidence for microplastics harming human health',
+            'history of the printing press and its impact',
+            'what do studies say about remote work productivity'
+        ]
+    },
+    MEDIA_COMPILATION: {
+        specialist: 'StudioDirector',
+        cues: /\b(compile|compilation|scenes?|videos?|movies?|clips?|montage|supercut|footage|trailers?)\b/,
+        examples: [
+            'compile the best action scenes from marvel movies',
+            'make a montage of goals from the world cup',
+            'find video clips of rocket launches',
+            'supercut of every dialogue scene with gandalf',
+            'movie scenes filmed in new york',
+            'footage of the northern lights in 4k'
+        ]
+    },
+    OFFLINE_ANALYSIS: {
+        specialist: 'LocalAnalyst', // Uses Llama/Mixtral
+        cues: /\b(patents?|offline|local(ly)?|private(ly)?|confidential|on my machine|my (files|documents|notes))\b/,
+        examples: [
+            'draft a patent claim for a folding drone arm',
+            'analyze this contract privately offline',
+            'summarize my local documents about the merger',
+            'review patent prior art without sending data online',
+            'run a confidential analysis on my machine'
+        ]
+    },
+    PRODUCT_COMPARISON: {
+        specialist: 'ProductAnalyst',
+        breadth: 'massive',
+        cues: /\b(vs\.?|versus|compare[ds]?|comparison|better than|which is better|alternatives? to|best [a-z ]+ (for|under))\b/,
+        examples: [
+            'iphone 15 vs pixel 8',
+            'compare the macbook air and dell xps 13',
+            'best noise cancelling headphones under 200',
+            'which is better for gaming ps5 or xbox series x',
+            'alternatives to notion for note taking',
+            'best budget robot vacuum for pet hair'
+        ]
+    },
+    HOW_TO: {
+        specialist: 'GuideWriter',
+        cues: /^(how (do|can|to|should)|steps? to|set ?up|install|fix|configure)\b|\bhow to\b|\b(tutorial|guide|step by step)\b/,
+        examples: [
+            'how to change a bike tire',
+            'how do i set up a home vpn',
+            'steps to install python on windows',
+            'fix a leaking kitchen faucet',
+            'beginner guide to sourdough bread',
+            'configure ssh keys for github step by step'
+        ]
+    },
+    ADULT_CONTENT: {
+        specialist: 'RecursiveAgent', // Uses the same powerful engine
+        breadth: 'massive',
+        privacy_mode: 'maximum', // Force privacy shield
+        // "sex" only with a media word, so sex education or sex differences in disease stay research
+        cues: /\b(porn\w*|xxx|adult (content|videos?|sites?)|nsfw|sex (videos?|tapes?|scenes?|clips?|cams?))\b/,
+        examples: [] // Cue-only: explicit terms are unambiguous and not worth example queries
+    },
+    GENERAL_QUERY: {
+        specialist: 'QuickSearch',
+        cues: /^(what is|who is|when is|where is|define|weather|time in)\b/,
+        examples: [
+            'what is the capital of australia',
+            'weather in paris tomorrow',
+            'who is the ceo of microsoft',
+            'define serendipity',
+            'population of japan',
+            'time in tokyo'
+        ]
+    }
+};
+
+const HASH_DIMENSIONS = 1024;
+const CUE_WEIGHT = 0.35;
+const TEMPERATURE = 0.12; // Softmax sharpness for the distribution
+const MIN_CONFIDENCE = 0.35; // Below this the winner is a guess (unrelated queries top out near 0.25)
+const FALLBACK_INTENT = 'GENERAL_QUERY';
+const HYBRID_MIN_CONFIDENCE = 0.5; // A hybrid needs a clear winner ...
+const HYBRID_RATIO = 0.5; // ... a runner-up at least half as likely ...
+const HYBRID_MIN_SCORE = 0.25; // ... and a real probability on its own
+const MODEL_RETRY_MS = 60000;
+
+/**
+ * Scores every intent type for a query and returns the full distribution.
+ * Similarity is measured against labelled examples with an Ollama embedding model
+ * when INTENT_EMBED_MODEL is set, otherwise with local hashed word / trigram vectors.
+ * Two strong, compatible intents produce a HYBRID intent; a winner below MIN_CONFIDENCE
+ * falls back to GENERAL_QUERY (with `fallback_from` naming the guess).
+ */
+class IntentClassifier {
+    constructor(config = {}) {
+        this.bridge = config.bridge || new LocalBridge();
+        this.model = config.model || process.env.INTENT_EMBED_MODEL || null;
+        this.profiles = config.profiles || INTENT_PROFILES;
+
+        this.exampleVectors = new Map(); // `${method}` -> Map(type -> vectors)
+        this.modelRetryAt = 0;
+    }
+
+    /**
+     * @param {string} query
+     * @returns {Promise<{ type, specialist, confidence, distribution: Array<{type, score}>, method, components?, fallback_from?, breadth?, privacy_mode? }>}
+     */
+    async classify(query) {
+        const text = (query || '').toLowerCase().trim();
+        const { method, similarity } = await this.similarities(text);
+
+        const raw = Object.entries(this.profiles).map(([type, profile]) => {
+            const cue = profile.cues && profile.cues.test(text) ? 1 : 0;
+            return { type, score: (similarity[type] || 0) + CUE_WEIGHT * cue };
+        });
+        const distribution = this.softmax(raw);
+
+        const [first, second] = distribution;
+        const confident = first.score >= MIN_CONFIDENCE || first.type === FALLBACK_INTENT;
+        const hybrid = second &&
+            first.score >= HYBRID_MIN_CONFIDENCE &&
+            second.score >= HYBRID_MIN_SCORE &&
+            second.score >= first.score * HYBRID_RATIO &&
+            ![first.type, second.type].includes('GENERAL_QUERY');
+
+        const fallback = distribution.find(d => d.type === FALLBACK_INTENT);
+        const chosen = hybrid ? [first, second] : [confident ? first : fallback];
+        const profiles = chosen.map(c => this.profiles[c.type]);
+        const intent = {
+            type: hybrid ? 'HYBRID' : chosen[0].type,
+            specialist: profiles.map(p => p.specialist).join('+'),
+            confidence: Math.round(chosen.reduce((sum, c) => sum + c.score, 0) * 100) / 100,
+            distribution,
+            method
+        };
+        if (hybrid) intent.components = chosen.map(c => c.type);
+        if (!confident) intent.fallback_from = first.type;
+        if (profiles.some(p => p.breadth)) intent.breadth = 'massive';
+        const privacy = profiles.find(p => p.privacy_mode);
+        if (privacy) intent.privacy_mode = privacy.privacy_mode;
+
+        return intent;
+    }
+
+    /**
+     * Per-type similarity: mean of the three closest examples.
+     */
+    async similarities(text) {
+        let method = 'hashed';
+        let vectorize = t => this.hashedVector(t);
+
+        if (this.model && Date.now() >= this.modelRetryAt) {
+            try {
+                const probe = await this.bridge.embed(text, this.model);
+                const cache = new Map([[text, probe]]);
+                vectorize = async t => cache.get(t) || this.bridge.embed(t, this.model);
+                method = `embedding:${this.model}`;
+                await this.exampleVectorsFor(method, vectorize);
+            } catch (err) {
+                console.warn(`[INTENT] Embedding model unavailable (${err.message}). Using hashed vectors.`);
+                this.modelRetryAt = Date.now() + MODEL_RETRY_MS;
+                method = 'hashed';
+                vectorize = t => this.hashedVector(t);
+            }
+        }
+
+        const examples = await this.exampleVectorsFor(method, vectorize);
+        const queryVector = await vectorize(text);
+
+        const similarity = {};
+        for (const [type, vectors] of examples) {
+            const top = vectors.map(v => this.cosine(queryVector, v)).sort((a, b) => b - a).slice(0, 3);
+            similarity[type] = top.length ? top.reduce((sum, s) => sum + s, 0) / top.length : 0;
+        }
+        return { method, similarity };
+    }
+
+    async exampleVectorsFor(method, vectorize) {
+        if (!this.exampleVectors.has(method)) {
+            const byType = new Map();
+            for (const [type, profile] of Object.entries(this.profiles)) {
+                byType.set(type, await Promise.all(profile.examples.map(e => vectorize(e))));
+            }
+            this.exampleVectors.set(method, byType);
+        }
+        return this.exampleVectors.get(method);
+    }
+
+    // Feature-hashed words, word bigrams and character trigrams (so "videos" still meets "video")
+    hashedVector(text) {
+        const vector = new Float32Array(HASH_DIMENSIONS);
+        const words = text.split(/[^a-z0-9$]+/).filter(Boolean);
+        const add = (feature, weight) => {
+            vector[this.hash(feature) % HASH_DIMENSIONS] += weight;
+        };
+
+        words.forEach((word, i) => {
+            add(`w:${word}`, 1);
+            if (i > 0) add(`b:${words[i - 1]} ${word}`, 0.7);
+            const padded = `^${word}$`;
+            for (let j = 0; j + 3 <= padded.length; j++) add(`c:${padded.substring(j, j + 3)}`, 0.25);
+        });
+        return vector;
+    }
+
+    hash(feature) {
+        let hash = 2166136261; // FNV-1a
+        for (let i = 0; i < feature.length; i++) {
+            hash ^= feature.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    cosine(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    softmax(scores) {
+        const max = Math.max(...scores.map(s => s.score));
+        const exp = scores.map(s => ({ type: s.type, value: Math.exp((s.score - max) / TEMPERATURE) }));
+        const total = exp.reduce((sum, e) => sum + e.value, 0);
+        return exp
+            .map(e => ({ type: e.type, score: Math.round((e.value / total) * 1000) / 1000 }))
+            .sort((a, b) => b.score - a.score);
+    }
+}
+
+module.exports = { IntentClassifier, INTENT_PROFILES };
@@ -0,0 +1,163 @@
+const { LocalBridge } = require('./studio/local_bridge');
+const { QueryDecomposer } = require('./decomposer');
+const { tokenize } = require('./text_utils');
+
+const SYSTEM_PROMPT = `You are a strict research judge. Decide whether the excerpts answer each sub-question.
+Return ONLY JSON: {"coverage": [{"question": "<sub-question>", "score": <0..1>, "missing": "<the specific fact still missing, or empty>"}]}.
+Score 1 only when the excerpts state the answer outright. Name missing facts in a few words (e.g. "charging speed in watts").`;
+
+const MAX_PASSAGES = 3; // Per sub-question
+const MAX_PROMPT_CHARS = 6000;
+const SINGLE_SOURCE_FACTOR = 0.75; // One page saying it is not yet an answer
+
+/**
+ * Decides whether the gathered content answers the query: one coverage score per
+ * sub-question, the specific facts still missing (fed to Coordinator.replan) and an
+ * overall satisfaction. Uses the local model (JUDGE_MODEL, else SYNTHESIS_MODEL) when the
+ * bridge is up, otherwise a deterministic term-coverage heuristic.
+ */
+class ProgressJudge {
+    constructor(config = {}) {
+        this.bridge = config.bridge || new LocalBridge();
+        this.model = config.model || process.env.JUDGE_MODEL || process.env.SYNTHESIS_MODEL || 'llama3';
+        this.decomposer = config.decomposer || new QueryDecomposer();
+    }
+
+    /**
+     * @param {string} query
+     * @param {ContextGraph} context
+     * @param {object} options - { subQuestions: string[] (derived from the query when absent),
+     *   signal: AbortSignal, timeout: ms the model may take (the search's remaining budget) }
+     * @returns {Promise<{ satisfaction, coverage: Array<{question, score, sources, missing}>, missing_info: string[], method }>}
+     */
+    async evaluate(query, context, options = {}) {
+        const documents = context.getDocuments();
+        const subQuestions = options.subQuestions && options.subQuestions.length
+            ? options.subQuestions
+            : this.subQuestions(query);
+
+        if (documents.length === 0) {
+            return {
+                satisfaction: 0,
+                coverage: subQuestions.map(question => ({ question, score: 0, sources: [], missing: null })),
+                missing_info: ['Search failed to yield content'],
+                method: 'heuristic'
+            };
+        }
+
+        const evidence = subQuestions.map(question => this.evidenceFor(question, documents));
+        let coverage = null;
+        let method = 'heuristic';
+
+        try {
+            coverage = await this.judgeWithModel(query, evidence, options);
+            if (coverage) method = `model:${this.model}`;
+        } catch (err) {
+            if (options.signal?.aborted) throw err;
+            console.warn(`[JUDGE] Model evaluation failed (${err.message}). Using heuristic coverage.`);
+        }
+        options.signal?.throwIfAborted(); // An aborted health check reads as "no model"; don't score for a gone client
+        if (!coverage) coverage = evidence.map(e => this.heuristicCoverage(e, query));
+
+        const satisfaction = coverage.reduce((sum, c) => sum + c.score, 0) / coverage.length;
+        const missing = [...new Set(coverage.filter(c => c.score < 0.85 && c.missing).map(c => c.missing))];
+
+        return {
+            satisfaction: Math.round(satisfaction * 100) / 100,
+            coverage,
+            missing_info: missing.length || satisfaction > 0.85 ? missing : ['Need more details'],
+            method
+        };
+    }
+
+    /**
+     * The same parts the planner searched for (QueryDecomposer): comparisons and multi-part
+     * questions split, anything else ("salt and pepper shakers") is a single question.
+     */
+    subQuestions(query) {
+        const decomposition = this.decomposer.decompose(query);
+        return decomposition ? decomposition.sub_questions.map(sq => sq.question) : [query.trim()];
+    }
+
+    /**
+     * The paragraphs sharing the most terms with the question, plus which terms no page mentions.
+     */
+    evidenceFor(question, documents) {
+        const terms = [...new Set(tokenize(question))];
+        const found = new Set();
+
+        const passages = documents.flatMap(doc => doc.paragraphs.map(text => {
+            const paragraphTerms = new Set(tokenize(text));
+            const hits = terms.filter(t => paragraphTerms.has(t));
+            hits.forEach(t => found.add(t));
+            return { url: doc.url, text, score: terms.length ? hits.length / terms.length : 0 };
+        }))
+            .filter(p => p.score > 0)
+            .sort((a, b) => b.score - a.score);
+
+        return {
+            question,
+            terms,
+            unmatched: terms.filter(t => !found.has(t)),
+            passages: passages.slice(0, MAX_PASSAGES),
+            // Pages with a paragraph carrying most of the question's terms
+            sources: [...new Set(passages.filter(p => p.score >= 0.6).map(p => p.url))]
+        };
+    }
+
+    /**
+     * Share of the question's terms found together in one paragraph, discounted when
+     * only one page carries them. Missing facts are the terms no page mentions.
+     */
+    heuristicCoverage(evidence, query) {
+        const best = evidence.passages.length ? evidence.passages[0].score : 0;
+        const support = evidence.sources.length >= 2 ? 1 : SINGLE_SOURCE_FACTOR;
+
+        let missing = null;
+        if (evidence.unmatched.length) {
+            missing = evidence.unmatched.join(' ');
+        } else if (evidence.sources.length < 2 && evidence.question.toLowerCase() !== query.trim().toLowerCase()) {
+            missing = evidence.question; // Said once (or only in pieces): search that part on its own
+        }
+
+        return {
+            question: evidence.question,
+            score: Math.round(best * support * 100) / 100,
+            sources: evidence.sources,
+            missing
+        };
+    }
+
+    async judgeWithModel(query, evidence, { signal, timeout } = {}) {
+        if (timeout !== undefined && timeout <= 0) return null; // Budget spent: the heuristic answers instantly
+        if (!(await this.bridge.checkHealth({ signal, timeout }))) return null;
+
+        let budget = MAX_PROMPT_CHARS;
+        const sections = evidence.map((e, i) => {
+            const excerpts = e.passages
+                .map(p => {
+                    const text = p.text.substring(0, Math.max(0, Math.min(p.text.length, budget)));
+                    budget -= text.length;
+                    return text ? `- (${p.url}) ${text}` : null;
+                })
+                .filter(Boolean)
+                .join('\n');
+            return `Sub-question ${i + 1}: ${e.question}\nExcerpts:\n${excerpts || '- (none)'}`;
+        });
+
+        const prompt = `Query: ${query}\n\n${sections.join('\n\n')}\n\nJSON:`;
+        const raw = await this.bridge.generate(prompt, this.model, SYSTEM_PROMPT, { signal, timeout });
+        const parsed = JSON.parse(raw.substring(raw.indexOf('{'), raw.lastIndexOf('}') + 1));
+        const judged = Array.isArray(parsed.coverage) ? parsed.coverage : [];
+
+        // Keep the sub-questions we asked about, in order; the model only scores them
+        return evidence.map((e, i) => {
+            const verdict = judged.find(j => j && j.question === e.question) || judged[i] || {};
+            const score = Math.min(1, Math.max(0, Number(verdict.score) || 0));
+            const missing = typeof verdict.missing === 'string' && verdict.missing.trim() ? verdict.missing.trim() : null;
+            return { question: e.question, score, sources: e.sources, missing };
+        });
+    }
+}
+
+module.exports = { ProgressJudge };
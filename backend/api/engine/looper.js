@@ -1,117 +1,497 @@
+const EventEmitter = require('events');
 const { Coordinator } = require('./coordinator');
 const { WebSearcher } = require('./tools/web_searcher');
 const { ContentScraper } = require('./tools/content_scraper');
-const { ContextGraph } = require('../context_engine');
+const { Synthesizer } = require('./synthesizer');
+const { PerspectiveClusterer } = require('./perspectives');
+const { ContextGraph, EDGE_TYPES } = require('../context_engine');
+const { SafetyPolicy } = require('./safety_policy');
+const { Scheduler } = require('./scheduler');
+const { ProgressJudge } = require('./judge');
+const { ToolRegistry, ToolInputError } = require('./tool_registry');
+const { LocalBridge, LocalModelError } = require('./studio/local_bridge');
+const { MediaProcessor } = require('./studio/media_processor');
 
-class Looper {
-    constructor() {
-        this.searcher = new WebSearcher();
-        this.scraper = new ContentScraper();
+// System prompts a local_inference step can name
+const LOCAL_PROMPTS = {
+    general_expert: 'You are a careful domain expert. Answer thoroughly and say what you are unsure about.',
+    expert_patent_attorney: 'You are an expert patent attorney. Draft precise, well-structured patent text (title, abstract, background, detailed description, numbered claims) and flag likely prior-art risks.'
+};
+const MAX_LOCAL_CONTEXT_CHARS = 4000;
+
+// Every event the engine emits while a search runs (Looper and the tools it owns)
+const ENGINE_EVENTS = [
+    'plan_created',
+    'query_issued',
+    'results_received',
+    'provider_failed',
+    'url_read',
+    'read_failed',
+    'content_filtered',
+    'step_skipped',
+    'satisfaction_scored',
+    'iteration_finished',
+    'synthesis_started',
+    'answer_delta', // { source: 'synthesis' | 'local_inference', token } while a local model writes
+    'model_unavailable' // { source: 'synthesis' | 'local_inference', model, code: LOCAL_ERRORS value, message }
+];
+
+/**
+ * One Looper per search. It is an EventEmitter so callers (e.g. the SSE route)
+ * can follow the run live; see ENGINE_EVENTS.
+ */
+class Looper extends EventEmitter {
+    /**
+     * @param {object} config - { safetyPolicy: SafetyPolicy (defaults to the deployment policy from env),
+     *   scheduler: Scheduler options (toolLimits, hostLimit, stepTimeout, budget), judge: ProgressJudge,
+     *   bridge: LocalBridge, media: MediaProcessor }
+     */
+    constructor(config = {}) {
+        super();
+        this.safetyPolicy = config.safetyPolicy || new SafetyPolicy();
+        this.schedulerConfig = config.scheduler || {};
+        this.searcher = new WebSearcher({ events: this });
+        this.scraper = new ContentScraper({ events: this });
+        this.synthesizer = new Synthesizer();
+        this.judge = config.judge || new ProgressJudge();
+        this.clusterer = new PerspectiveClusterer();
+        this.bridge = config.bridge || new LocalBridge();
+        this.media = config.media || new MediaProcessor();
+        this.tools = this.registerTools(new ToolRegistry());
+        this.localFailure = null; // Why the last local_inference step got no answer
+    }
+
+    /**
+     * The tools plan steps can name (see Coordinator.generateSteps).
+     */
+    registerTools(registry) {
+        // Media steps always get the plan's safety filter (SafetyPolicy media_filter), like web_search's safe_search
+        const mediaFilter = { type: 'string', enum: ['safe', 'none', 'explicit'] };
+        const withSafety = (params, ctx) => ({ ...params, filter: ctx.plan.safety.media_filter, signal: ctx.signal });
+
+        return registry
+            .register('web_search', {
+                description: 'Web search through the configured providers; the top hits are read',
+                input: {
+                    query: { type: 'string' },
+                    depth: { type: 'string' },
+                    categories: { type: 'string' },
+                    include_domains: { type: 'array' },
+                    price_max: { type: 'number' },
+                    provider: { type: 'string' },
+                    deep_dive: { type: 'number', default: 2 },
+                    exclude_urls: { type: 'array', default: () => [] },
+                    safe_search: { type: 'string' }
+                },
+                output: 'search_results',
+                handler: (params, ctx) => this.webSearch(params, ctx)
+            })
+            .register('local_inference', {
+                description: 'Runs the query (and any pages already in the session) through a local model',
+                input: {
+                    model: { type: 'string', default: () => process.env.LOCAL_MODEL || 'llama3' },
+                    system_prompt: { type: 'string', enum: Object.keys(LOCAL_PROMPTS), default: 'general_expert' },
+                    prompt: { type: 'string' }
+                },
+                output: 'analysis',
+                timeout: Number(process.env.LOCAL_INFERENCE_TIMEOUT_MS) || 60000, // Still capped by the search budget
+                handler: (params, ctx) => this.localInference(params, ctx)
+            })
+            .register('scout_videos', {
+                description: 'Finds candidate source videos',
+                input: {
+                    query: { type: 'string' },
+                    limit: { type: 'number', default: 5 },
+                    safe_search: { type: 'string' }
+                },
+                output: 'video_candidates',
+                handler: (params, ctx) => this.scoutVideos(params, ctx)
+            })
+            .register('analyze_scenes', {
+                description: 'Scans the scouted videos for matching scenes',
+                input: {
+                    filters: { type: 'array', default: () => ['action', 'dialogue'] },
+                    filter: mediaFilter
+                },
+                consumes: 'video_candidates',
+                output: 'scenes',
+                handler: (params, ctx) => {
+                    if (!ctx.input || !ctx.input.length) throw new ToolInputError('analyze_scenes', 'no videos to analyze');
+                    return this.media.analyzeScenes(ctx.input, withSafety(params, ctx));
+                }
+            })
+            .register('compile_video', {
+                description: 'Stitches the analyzed scenes into one video',
+                input: {
+                    format: { type: 'string', enum: ['mp4', 'webm'], default: 'mp4' },
+                    resolution: { type: 'string', enum: ['720p', '1080p', '2160p'], default: '1080p' },
+                    filter: mediaFilter
+                },
+                consumes: 'scenes',
+                output: 'compilation',
+                handler: (params, ctx) => {
+                    if (!ctx.input || !ctx.input.scenes.length) throw new ToolInputError('compile_video', 'no scenes to compile');
+                    return this.media.compile(ctx.input.scenes, { ...withSafety(params, ctx), source_count: ctx.input.source_count });
+                }
+            })
+            .register('media_processor', {
+                description: 'Scans and compiles media from the search results in one pass',
+                input: { filter: mediaFilter },
+                consumes: 'search_results',
+                output: 'compilation',
+                handler: (params, ctx) => {
+                    if (!ctx.input || !ctx.input.urls.length) throw new ToolInputError('media_processor', 'no search results to compile');
+                    return this.media.process(ctx.query, { ...withSafety(params, ctx), sources: ctx.input.urls });
+                }
+            });
     }
 
     /**
      * Main Recursive Loop
      * @param {string} query - User's original query
-     * @param {object} options - { depth: number, privacy: boolean }
+     * @param {object} options - { depth: number, privacy: boolean, signal: AbortSignal, context: ContextGraph, intents: Array, safety: object, budget: ms }
+     *   `context` is a session graph owned by the caller; without one the search gets its own.
+     *   `release` gives back the caller's lease on `context` (SessionStore.open); it is called as soon as
+     *   the search is aborted, so the session can be evicted without waiting for in-flight work.
+     *   `safety` is a resolved policy (SafetyPolicy.resolve); the deployment default applies without one.
      */
     async start(query, options = {}) {
-        const context = new ContextGraph(); // Ephemeral memory (Privacy Shield)
+        const owned = !options.context;
+        const context = options.context || new ContextGraph(); // Ephemeral memory (Privacy Shield)
+        const { signal } = options;
+
+        // Client gone: drop everything gathered so far right away, or hand a session graph back to its store
+        const release = () => {
+            if (owned) context.release();
+            else options.release?.();
+        };
+        if (signal?.aborted) release();
+        signal?.addEventListener('abort', release, { once: true });
+
+        try {
+            return await this.run(query, context, options);
+        } catch (err) {
+            if (signal?.aborted) console.log('[LOOPER] Search aborted by client.');
+            throw err;
+        } finally {
+            signal?.removeEventListener('abort', release);
+        }
+    }
+
+    async run(query, context, options) {
+        const { signal } = options;
         let iterations = 0;
-        const maxIterations = options.depth === 'deep' ? 4 : 2;
+        // One time budget for the whole search, across iterations
+        const scheduler = new Scheduler({ ...this.schedulerConfig, ...(options.budget ? { budget: options.budget } : {}), signal, events: this });
 
         // Initial Plan
-        let plan = await Coordinator.plan(query);
+        const safety = options.safety || this.safetyPolicy.resolve();
+        let plan = await Coordinator.plan(query, { events: this, intents: options.intents, safety });
+        const depth = plan.modifiers?.depth || options.depth; // A mode_deep / mode_fast bubble wins
+        const maxIterations = depth === 'deep' ? 4 : 2;
+        context.logInteraction('QUERY', { query, intent: plan.intent.type });
         context.logInteraction('PLAN_CREATED', plan);
 
+        const artifacts = []; // Non-search tool outputs (local analysis, compilations)
+
         while (iterations < maxIterations) {
+            signal?.throwIfAborted();
             console.log(`[LOOPER] Iteration ${iterations + 1}/${maxIterations}`);
 
             // 1. Execute Steps
-            const newIntel = await this.executeSteps(plan.steps, context);
+            const newIntel = await this.executeSteps(plan, query, context, scheduler);
+            signal?.throwIfAborted();
 
             // 2. Update Context (Memory)
+            artifacts.push(...newIntel.filter(item => item.type === 'artifact'));
             context.ingest(newIntel);
+            await context.refineClaims({ signal });
 
             // 3. Critique & Re-Plan
-            const audit = await this.evaluateProgress(query, context);
+            const audit = await this.evaluateProgress(query, context, plan, { signal, timeout: scheduler.remaining() });
+            context.logInteraction('AUDIT', { query, satisfaction: audit.satisfaction, missing_info: audit.missing_info, coverage: audit.coverage });
+            this.emit('satisfaction_scored', {
+                iteration: iterations + 1,
+                satisfaction: audit.satisfaction,
+                missing_info: audit.missing_info,
+                coverage: audit.coverage,
+                method: audit.method
+            });
+            this.emit('iteration_finished', {
+                iteration: iterations + 1,
+                max_iterations: maxIterations,
+                word_count: context.getTotalWordCount(),
+                source_count: context.getSourceCount()
+            });
 
             if (audit.satisfaction > 0.85) {
                 console.log('[LOOPER] Satisfaction reached. Stopping recursion.');
                 break;
             }
+            if (scheduler.exhausted()) {
+                console.log('[LOOPER] Time budget spent. Synthesizing what we have.');
+                break;
+            }
+            if (!plan.steps.some(step => step.tool === 'web_search')) {
+                // Offline and media plans: refining means searching the web, which they never asked for
+                console.log('[LOOPER] Plan has no search steps. Nothing to refine.');
+                break;
+            }
 
             // Recursion: Generate new steps based on missing info
             console.log('[LOOPER] Insufficient data. Recursion triggered.');
-            plan = await Coordinator.replan(query, audit.missing_info);
+            const next = await Coordinator.replan(query, audit.missing_info, context, plan, { events: this, coverage: audit.coverage });
+            if (!next) {
+                console.log('[LOOPER] No gap names anything new to search for. Synthesizing what we have.');
+                break;
+            }
+            plan = next;
             iterations++;
         }
 
         // 4. Final Synthesis
-        return this.synthesize(query, context);
+        signal?.throwIfAborted();
+        this.emit('synthesis_started', { source_count: context.getSourceCount() });
+        const result = await this.synthesize(query, context, { plan, artifacts, signal });
+        // What follow-up chat turns (Conversation) are grounded on
+        context.logInteraction('ANSWER', {
+            query,
+            answer: result.answer,
+            sources: result.sources.map(({ index, url, title, snippet }) => ({ index, url, title, snippet })),
+            comparison: result.comparison || null
+        });
+        return { ...result, execution: { iterations: Math.min(iterations + 1, maxIterations), ...scheduler.report() } };
     }
 
-    async executeSteps(steps, context) {
-        const results = [];
-        for (const step of steps) {
-            try {
-                if (step.tool === 'web_search') {
-                    // Pass the 'breadth' param from the plan if it exists, otherwise default
-                    const searchOptions = {
-                        ...step.params,
-                        breadth: plan.intent?.breadth || 'standard'
-                    };
-                    const urls = await this.searcher.search(step.params.query || query, searchOptions);
-                    results.push({ type: 'urls', data: urls });
-
-                    // Trigger automatic deep dive if promising
-                    const deepDives = urls.slice(0, 2); // Top 2
-                    for (const url of deepDives) {
-                        const content = await this.scraper.read(url);
-                        results.push({ type: 'content', source: url, data: content });
-                    }
+    /**
+     * Runs the plan's steps concurrently through the search's Scheduler; each web search
+     * fans out into page reads as soon as its hits arrive, and a step whose tool consumes
+     * another tool's output waits for the nearest earlier step producing it.
+     * Results keep plan order: urls + read pages for searches, artifacts for everything else.
+     */
+    async executeSteps(plan, query, context, scheduler) {
+        const claimed = new Set(); // Pages some step of this round already reads
+        const producers = new Map(); // output type -> value of the latest step producing it
+
+        const perStep = plan.steps.map(step => {
+            const tool = this.tools.get(step.tool);
+            if (!tool) {
+                console.warn(`[LOOPER] No handler for tool "${step.tool}". Skipping step.`);
+                return Promise.resolve(null);
+            }
+
+            const upstream = tool.consumes ? producers.get(tool.consumes) : null;
+            const value = (async () => {
+                const input = upstream ? await upstream : null;
+                const outcome = await scheduler.schedule({
+                    tool: step.tool,
+                    label: step.params.query || query,
+                    timeout: tool.timeout,
+                    run: signal => this.runStep(step, plan, query, signal, { claimed, input, context })
+                });
+
+                if (outcome.status === 'failed' || outcome.status === 'timeout') {
+                    console.error(`[LOOPER] Step ${outcome.status}: ${step.tool}`, outcome.error.message);
                 }
-                // Add other tools (media, local_bridge) here
-            } catch (err) {
-                console.error(`[LOOPER] Step failed: ${step.tool}`, err);
+                return outcome.status === 'ok' ? outcome.value || null : null;
+            })();
+            producers.set(tool.output, value);
+
+            return value.then(output => output && this.collect(step, tool, output, plan, scheduler));
+        });
+
+        const results = await Promise.all(perStep);
+        return results.filter(Boolean).flat();
+    }
+
+    async collect(step, tool, output, plan, scheduler) {
+        if (tool.output !== 'search_results') {
+            return [{ type: 'artifact', tool: step.tool, output: tool.output, data: output }];
+        }
+        const reads = await Promise.all(output.deepDives.map(result => this.readPage(result, plan, scheduler)));
+        return [{ type: 'urls', data: output.urls }, ...reads.filter(Boolean)];
+    }
+
+    async runStep(step, plan, query, signal, extras = {}) {
+        return this.tools.invoke(step.tool, step.params, { ...extras, plan, query, signal });
+    }
+
+    async webSearch(params, { plan, query, signal, claimed = new Set() }) {
+        // Pass the 'breadth' param from the plan if it exists, otherwise default
+        const searchOptions = {
+            ...params,
+            breadth: plan.intent?.breadth || 'standard',
+            safe_search: plan.safety.level, // The policy wins over anything a step asks for
+            signal
+        };
+        const hits = await this.searcher.search(params.query || query, searchOptions);
+        const urls = this.applySafety(hits, plan);
+
+        // Trigger automatic deep dive if promising (skipping pages a previous iteration already read)
+        const visited = new Set(params.exclude_urls);
+        const deepDives = urls.filter(r => !visited.has(r.url) && !claimed.has(r.url)).slice(0, params.deep_dive);
+        deepDives.forEach(r => claimed.add(r.url));
+        return { urls, deepDives };
+    }
+
+    async scoutVideos(params, { plan, query, signal }) {
+        const hits = await this.searcher.search(params.query || query, {
+            categories: 'videos',
+            safe_search: plan.safety.level,
+            signal
+        });
+        return this.applySafety(hits, plan).slice(0, params.limit).map(({ url, title }) => ({ url, title }));
+    }
+
+    /**
+     * Private by construction: the prompt only carries the query and pages already in
+     * this session, and the model runs on the LocalBridge.
+     */
+    async localInference(params, { query, context, signal }) {
+        let budget = MAX_LOCAL_CONTEXT_CHARS;
+        const excerpts = (context ? context.getDocuments() : [])
+            .flatMap(doc => doc.paragraphs.slice(0, 3).map(text => `(${doc.url}) ${text}`))
+            .filter(text => (budget -= text.length) >= 0);
+
+        const prompt = [
+            params.prompt || query,
+            excerpts.length ? `\nMaterial from this session:\n${excerpts.join('\n')}` : ''
+        ].join('\n').trim();
+
+        const draft = { model: params.model, system_prompt: params.system_prompt, context_documents: excerpts.length };
+        try {
+            const text = await this.streamLocal(prompt, params.model, LOCAL_PROMPTS[params.system_prompt], signal);
+            return { ...draft, text };
+        } catch (err) {
+            if (signal?.aborted || !(err instanceof LocalModelError)) throw err;
+            this.localFailure = { code: err.code, message: err.message };
+            this.emit('model_unavailable', { source: 'local_inference', model: params.model, ...this.localFailure });
+            if (!this.bridge.mockFallback) throw err;
+
+            // Opted in (LOCAL_MOCK_FALLBACK): canned text, flagged so it never passes for the model's answer
+            return { ...draft, text: this.bridge.mockExpertResponse(prompt), placeholder: true, model_error: this.localFailure };
+        }
+    }
+
+    // Streams the draft to listeners as it is written; a bridge that cannot stream gets one blocking call
+    async streamLocal(prompt, model, system, signal) {
+        let text = '';
+        try {
+            for await (const token of this.bridge.generateStream(prompt, model, system, { signal })) {
+                text += token;
+                this.emit('answer_delta', { source: 'local_inference', token });
             }
+            return text;
+        } catch (err) {
+            if (signal?.aborted || err instanceof LocalModelError) throw err; // Blocking would fail the same way
+            if (text) throw err; // Listeners already have part of this draft; a second one would repeat it
+            console.warn(`[LOOPER] Local stream failed (${err.message}). Retrying without streaming.`);
+            return this.bridge.generate(prompt, model, system, { signal });
         }
-        return results;
     }
 
-    async evaluateProgress(query, context) {
-        // In a real system, an LLM Judge evaluates this.
-        // For now, heuristic check: Do we have > 500 words of content?
-        const wordCount = context.getTotalWordCount();
-        if (wordCount > 1000) return { satisfaction: 0.9 };
-        if (wordCount > 500) return { satisfaction: 0.7, missing_info: 'Need more details' };
-        return { satisfaction: 0.3, missing_info: 'Search failed to yield content' };
+    applySafety(hits, plan) {
+        const { kept, removed } = this.safetyPolicy.filterResults(hits, plan.safety.level);
+        removed.forEach(r => this.emit('content_filtered', { url: r.url, stage: 'search', level: plan.safety.level }));
+        return kept;
     }
 
-    async synthesize(query, context) {
-        // Mock synthesis: Separating "Main Consensus" from "Confused Alternatives"
-        // In a real system, the LLM would cluster these claims.
+    async readPage(result, plan, scheduler) {
+        const outcome = await scheduler.schedule({
+            tool: 'read',
+            host: new URL(result.url).host,
+            label: result.url,
+            run: signal => this.scraper.read(result.url, { signal })
+        });
+
+        if (outcome.status !== 'ok') {
+            if (outcome.error) console.warn(`[LOOPER] Read failed: ${result.url}`, outcome.error.message);
+            return null;
+        }
+        if (!this.safetyPolicy.allowsDocument(outcome.value, plan.safety.level)) {
+            this.emit('content_filtered', { url: result.url, stage: 'read', level: plan.safety.level });
+            return null;
+        }
+        return { type: 'content', source: result, data: outcome.value };
+    }
+
+    /**
+     * Asks the judge whether the content gathered so far answers the query's sub-questions.
+     * @param {object} options - { signal, timeout: ms left in the search budget }
+     * @returns {Promise<{ satisfaction, coverage, missing_info: string[], method }>}
+     */
+    async evaluateProgress(query, context, plan = null, options = {}) {
+        return this.judge.evaluate(query, context, {
+            subQuestions: plan?.sub_questions?.map(sq => sq.question),
+            signal: options.signal,
+            timeout: options.timeout
+        });
+    }
+
+    /**
+     * @param {object} options - { plan, artifacts: non-search tool outputs, signal }
+     */
+    async synthesize(query, context, options = {}) {
+        const { plan = null, artifacts = [], signal } = options;
+        const synthesis = await this.synthesizer.synthesize(query, context, {
+            onToken: token => this.emit('answer_delta', { source: 'synthesis', token }),
+            signal
+        });
+        if (synthesis.model_error) {
+            this.emit('model_unavailable', { source: 'synthesis', model: this.synthesizer.model, ...synthesis.model_error });
+        }
+        const latest = output => artifacts.filter(a => a.output === output).map(a => a.data).pop() || null;
+        const analysis = latest('analysis');
+        const compilation = latest('compilation');
+
+        // Offline plans read nothing: the local model's answer (or why there is none) is the answer
+        let answer = { answer: synthesis.answer, model: synthesis.model, model_error: synthesis.model_error || null };
+        if (synthesis.sources.length === 0 && analysis) {
+            answer = {
+                answer: analysis.text,
+                model: analysis.placeholder ? 'mock' : `local:${analysis.model}`,
+                model_error: analysis.model_error || null
+            };
+        } else if (synthesis.sources.length === 0 && this.localFailure) {
+            answer = { answer: `No local model answered (${this.localFailure.code}): ${this.localFailure.message}`, model: null, model_error: this.localFailure };
+        }
+
+        const merged = plan?.decomposition
+            ? this.synthesizer.mergeFindings(plan.decomposition, context, synthesis.sources)
+            : null;
+
+        // "Confused Alternatives" - what the minority of sources (or the dissenters) say
+        const extracted = context.getClaims();
+        const claims = extracted.length
+            ? extracted.flatMap(c => {
+                const contradicts = context.neighbors(c.id, { edgeType: EDGE_TYPES.CONTRADICTS }).map(n => n.node.id);
+                // One item per supporting page, so a claim several sources make counts as their consensus
+                return c.sources.map(s => ({ id: c.id, text: s.sentence || c.label, source: s.source, negated: c.negated, contradicts }));
+            })
+            : this.clusterer.claimsFromDocuments(context.getDocuments());
+        const perspectives = this.clusterer.cluster(claims);
 
         return {
-            answer: `Based on recursive analysis of ${context.getSourceCount()} sources, the primary consensus is coherent. However, divergent timelines and alternative theories were found.`,
-            sources: context.getSources().slice(0, 3), // Top 3 "Official" sources
-
-            // "Confused Alternatives" - The paths not taken or contradictory interactions
-            alternatives: [
-                {
-                    label: "Contrarian Viewpoint",
-                    desc: "Some sources argue the opposite effect observed in main studies.",
-                    source: "https://contrarian-blog.com"
-                },
-                {
-                    label: "Historical Divergence",
-                    desc: "Pre-2000 data suggests a different trend.",
-                    source: "https://archive.org"
-                }
-            ],
+            answer: answer.answer,
+            citations: synthesis.citations, // [n] markers in the answer -> sources[n - 1]
+            sources: synthesis.sources,
+            consensus: perspectives.consensus,
+            alternatives: perspectives.alternatives,
+            confidence: synthesis.confidence,
+            model: answer.model,
+            ...(answer.model === 'mock' ? { placeholder: true } : {}),
+            ...(answer.model_error ? { model_error: answer.model_error } : {}), // { code, message }: why no model wrote the answer
+            ...(analysis ? { analysis } : {}),
+            ...(compilation ? { video_url: compilation.video_url, scenes: compilation.scenes, media: compilation.metadata } : {}),
+            ...(merged ? { sub_questions: merged.findings, comparison: merged.comparison } : {}),
 
-            confidence: 0.95
+            // What the Plasma UI lists under "Specialist Analysis"
+            structure: {
+                entities: context.centralEntities(20).map(n => n.label),
+                claims: extracted.slice(0, 12).map(c => c.label)
+            }
         };
     }
 }
 
-module.exports = { Looper };
+module.exports = { Looper, ENGINE_EVENTS };
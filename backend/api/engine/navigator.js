@@ -1,3 +1,34 @@
+const { Coordinator } = require('./coordinator');
+const { EDGE_TYPES } = require('../context_engine');
+const { tokenize, overlap } = require('./text_utils');
+
+const MAX_BUBBLES = 6;
+
+// Follow-up bubbles for the intent of the last search in the session
+const INTENT_FOLLOW_UPS = {
+    MEDIA_COMPILATION: [
+        { label: 'Action Scenes', intent: 'filter_action' },
+        { label: 'Dialogue Only', intent: 'filter_dialogue' }
+    ],
+    OFFLINE_ANALYSIS: [
+        { label: 'Prior Art Search', intent: 'search_art' },
+        { label: 'Keep It Local', intent: 'mode_offline' }
+    ],
+    DEEP_RESEARCH: [
+        { label: 'Compare Sources', intent: 'mode_compare' },
+        { label: 'Professional Reviews', intent: 'source_expert' }
+    ],
+    PRODUCT_COMPARISON: [
+        { label: 'Under $100', intent: 'filter_price_low' },
+        { label: 'Professional Reviews', intent: 'source_expert' },
+        { label: 'Reddit Consensus', intent: 'source_social' }
+    ],
+    HOW_TO: [
+        { label: 'Visuals', intent: 'mode_images' },
+        { label: 'Quick Summary', intent: 'mode_fast' }
+    ]
+};
+
 class Navigator {
     constructor(contextGraph) {
         this.graph = contextGraph;
@@ -5,23 +36,48 @@ class Navigator {
 
     /**
      * Generates predictive bubbles based on partial query and history.
+     * Candidates come from past session queries (completion), the graph's central entities,
+     * unresolved questions (open audit gaps, contradicting claims), the last search intent
+     * and keyword heuristics; each carries a score and the reason it was offered.
      * @param {string} partialQuery - What the user is currently typing
-     * @param {object} context - Previous interactions/entities
+     * @param {object} context - { lastEntity: string, limit: number }
+     * @returns {Promise<{ bubbles: Array<{label, intent, query, score, reason}>, context_update }>}
      */
     async suggest(partialQuery, context = {}) {
+        const partial = (partialQuery || '').trim();
+
         // 1. Analyze the partial query for keywords
-        const keywords = this.extractKeywords(partialQuery);
+        const keywords = this.extractKeywords(partial);
 
         // 2. Look at previous context (the "Context Graph")
+        const history = this.sessionQueries();
         const lastEntity = context.lastEntity || null;
 
-        // 3. Generate Bubbles
-        // (In production, this calls a fast LLM or uses a graph traversal algorithm)
-        const suggestions = this.heuristicSuggestions(keywords, lastEntity);
+        // 3. Generate and rank bubbles
+        const candidates = [
+            ...this.completions(partial, history),
+            ...this.entitySuggestions(partial, keywords, lastEntity),
+            ...this.unresolvedQuestions(partial),
+            ...this.intentFollowUps(partial, history),
+            ...this.heuristicSuggestions(keywords, partial)
+        ];
+
+        const seen = new Set();
+        const bubbles = candidates
+            .sort((a, b) => b.score - a.score)
+            .filter(b => {
+                const key = b.label.toLowerCase();
+                return !seen.has(key) && seen.add(key);
+            })
+            .slice(0, context.limit || MAX_BUBBLES)
+            .map(b => ({ ...b, score: Math.round(b.score * 100) / 100 }));
 
         return {
-            bubbles: suggestions,
-            context_update: { confidence: 0.7 }
+            bubbles,
+            context_update: {
+                confidence: bubbles.length ? bubbles[0].score : 0,
+                session_queries: history.length
+            }
         };
     }
 
@@ -30,40 +86,167 @@ class Navigator {
         return text.toLowerCase().split(' ').filter(w => w.length > 2);
     }
 
-    heuristicSuggestions(keywords, lastEntity) {
+    // Past queries in this session, most recent first
+    sessionQueries() {
+        if (!this.graph) return [];
+        return this.graph.getInteractions('QUERY')
+            .map(i => ({ query: i.payload.query, intent: i.payload.intent, timestamp: i.timestamp }))
+            .reverse();
+    }
+
+    /**
+     * Past session queries that complete what is being typed.
+     */
+    completions(partial, history) {
+        if (!partial) return [];
+        const typed = partial.toLowerCase();
+        const typedTerms = tokenize(partial);
+        const seen = new Set();
+
+        return history
+            .filter(h => h.query.toLowerCase() !== typed && !seen.has(h.query.toLowerCase()) && seen.add(h.query.toLowerCase()))
+            .map((h, recency) => {
+                const prefix = h.query.toLowerCase().startsWith(typed);
+                const shared = typedTerms.length ? overlap(tokenize(h.query), typedTerms) / typedTerms.length : 0;
+                if (!prefix && shared < 0.5) return null;
+                return {
+                    label: h.query,
+                    intent: 'complete_query',
+                    query: h.query,
+                    score: (prefix ? 0.9 : 0.6 + 0.2 * shared) - 0.05 * recency,
+                    reason: prefix ? 'Completes a query you searched earlier in this session' : 'Similar to a query you searched earlier in this session'
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Central entities of the session graph, favouring ones that co-occur with
+     * what the user is typing (or with the last entity they focused on).
+     */
+    entitySuggestions(partial, keywords, lastEntity) {
+        if (!this.graph) return [];
+        const typed = partial.toLowerCase();
+        const entities = this.graph.centralEntities(12);
+        if (!entities.length) return [];
+
+        const anchors = entities.filter(e => typed.includes(e.label.toLowerCase())).map(e => e.label);
+        if (lastEntity) anchors.push(lastEntity);
+        const related = new Set(anchors.flatMap(anchor => this.graph
+            .neighbors(anchor, { edgeType: EDGE_TYPES.CO_OCCURS, nodeType: 'entity' })
+            .map(n => n.node.id)));
+
+        const top = entities[0].centrality || 1;
+        return entities
+            .filter(e => !typed.includes(e.label.toLowerCase()))
+            .slice(0, 8)
+            .map(e => {
+                const isRelated = related.has(e.id);
+                const sources = this.graph.neighbors(e.id, { edgeType: EDGE_TYPES.MENTIONS, nodeType: 'source' }).length;
+                return {
+                    label: e.label,
+                    intent: 'focus_entity',
+                    query: this.extendQuery(partial, e.label),
+                    score: 0.35 + 0.25 * (e.centrality / top) + (isRelated ? 0.2 : 0) - (keywords.length && !isRelated && anchors.length ? 0.1 : 0),
+                    reason: isRelated
+                        ? `Appears alongside ${anchors[0]} in your sources`
+                        : `Central to this session (${sources || e.mentions} source${(sources || e.mentions) === 1 ? '' : 's'})`
+                };
+            });
+    }
+
+    /**
+     * Open audit gaps from the last search and claims the sources disagree on.
+     */
+    unresolvedQuestions(partial) {
+        if (!this.graph) return [];
+        const bubbles = [];
+
+        const lastAudit = this.graph.getInteractions('AUDIT').slice(-1)[0];
+        const gaps = lastAudit && lastAudit.payload.satisfaction <= 0.85
+            ? [].concat(lastAudit.payload.missing_info || []).filter(gap => !Coordinator.isGenericGap(gap))
+            : [];
+        gaps.slice(0, 2).forEach(gap => bubbles.push({
+            label: gap,
+            intent: 'resolve_gap',
+            query: `${lastAudit.payload.query} ${gap}`,
+            score: 0.7,
+            reason: `Still unanswered from "${lastAudit.payload.query}"`
+        }));
+
+        const contradictions = this.graph.getGraph().edges.filter(e => e.type === EDGE_TYPES.CONTRADICTS);
+        contradictions.slice(0, 2).forEach(edge => {
+            const claim = this.graph.findNode(edge.source);
+            if (!claim) return;
+            bubbles.push({
+                label: `Verify: ${claim.subject}`,
+                intent: 'resolve_conflict',
+                query: `${claim.subject} ${claim.object.split(/\s+/).slice(0, 6).join(' ')} fact check`,
+                score: partial ? 0.5 : 0.65,
+                reason: `Your sources disagree: "${claim.sentence || claim.label}"`
+            });
+        });
+
+        return bubbles;
+    }
+
+    // Appends a term, or completes the last word when the term starts with it ("pix" -> "Pixel 8")
+    extendQuery(partial, term) {
+        if (!partial) return term;
+        const words = partial.split(/\s+/);
+        const last = words[words.length - 1].toLowerCase();
+        if (term.toLowerCase().startsWith(last)) words.pop();
+        return [...words, term].join(' ');
+    }
+
+    intentFollowUps(partial, history) {
+        const last = history[0];
+        const followUps = last && INTENT_FOLLOW_UPS[last.intent];
+        if (!followUps) return [];
+        return followUps.map(b => ({
+            ...b,
+            query: partial || last.query, // The intent itself refines the search (Coordinator.applyIntents)
+            score: 0.45,
+            reason: `Follows up your last search ("${last.query}")`
+        }));
+    }
+
+    heuristicSuggestions(keywords, partial = '') {
         const q = keywords.join(' ');
+        const keyword = (...words) => words.find(w => q.includes(w));
+        const offer = (bubbles, score, reason) => bubbles.map(b => ({ ...b, query: partial, score, reason }));
 
         // Example heuristics
-        if (q.includes('patent') || q.includes('legal')) {
-            return [
+        if (keyword('patent', 'legal')) {
+            return offer([
                 { label: 'Draft for US', intent: 'patent_us' },
                 { label: 'Draft for EU', intent: 'patent_eu' },
                 { label: 'Prior Art Search', intent: 'search_art' }
-            ];
+            ], 0.5, `Matches "${keyword('patent', 'legal')}" in your query`);
         }
 
-        if (q.includes('video') || q.includes('scene')) {
-            return [
+        if (keyword('video', 'scene')) {
+            return offer([
                 { label: 'Action Scenes', intent: 'filter_action' },
                 { label: 'Dialogue Only', intent: 'filter_dialogue' },
                 { label: '4K Resolution', intent: 'filter_4k' }
-            ];
+            ], 0.5, `Matches "${keyword('video', 'scene')}" in your query`);
         }
 
-        if (q.includes('best') || q.includes('top')) {
-            return [
+        if (keyword('best', 'top')) {
+            return offer([
                 { label: 'Under $100', intent: 'filter_price_low' },
                 { label: 'Professional Reviews', intent: 'source_expert' },
                 { label: 'Reddit Consensus', intent: 'source_social' }
-            ];
+            ], 0.5, `Matches "${keyword('best', 'top')}" in your query`);
         }
 
         // Default "Explorer" bubbles
-        return [
+        return offer([
             { label: 'Deep Dive', intent: 'mode_deep' },
             { label: 'Quick Summary', intent: 'mode_fast' },
             { label: 'Visuals', intent: 'mode_images' }
-        ];
+        ], 0.2, 'General ways to refine any search');
     }
 }
 
@@ -0,0 +1,142 @@
+const { tokenize, jaccard, splitSentences } = require('./text_utils');
+
+// Sentences worth treating as claims when the graph has none yet
+const ASSERTION_PATTERN = /\b(is|are|was|were|has|have|will|can|could|shows?|showed|found|finds|reports?|claims?|suggests?|argues?|according|estimates?)\b|\d/i;
+
+const MIN_SIMILARITY = 0.18;
+const MAX_ALTERNATIVES = 4;
+
+/**
+ * Groups claims gathered across sources into one consensus view and
+ * minority / contrarian views, each backed by the URLs that support it.
+ * A view is contrarian only when the graph says so: its claims contradict the consensus
+ * (ContextGraph contradicts edges). Wording alone ("not only fast", "no-fee") decides nothing.
+ */
+class PerspectiveClusterer {
+    constructor(config = {}) {
+        this.minSimilarity = config.minSimilarity || MIN_SIMILARITY;
+        this.maxAlternatives = config.maxAlternatives || MAX_ALTERNATIVES;
+    }
+
+    /**
+     * @param {Array<{text: string, source: string, id?: string, negated?: boolean, contradicts?: string[]}>} claims -
+     *   Graph claims carry their id, stance and the ids of the claims they contradict (either edge direction)
+     * @returns {{ consensus: object|null, alternatives: object[] }}
+     */
+    cluster(claims) {
+        const items = claims
+            .filter(c => c && c.text && c.source)
+            .map(c => ({ ...c, terms: new Set(tokenize(c.text)), negated: Boolean(c.negated), contradicts: c.contradicts || [] }))
+            .filter(c => c.terms.size > 1);
+
+        if (items.length === 0) return { consensus: null, alternatives: [] };
+
+        const clusters = [];
+        for (const item of items) {
+            let best = null;
+            let bestScore = 0;
+            for (const cluster of clusters) {
+                // Opposite stances on the same topic must not merge
+                if (cluster.negated !== item.negated) continue;
+                const score = this.similarity(item, cluster);
+                if (score > bestScore) {
+                    best = cluster;
+                    bestScore = score;
+                }
+            }
+
+            if (best && bestScore >= this.minSimilarity) {
+                best.items.push(item);
+                best.sources.add(item.source);
+                item.terms.forEach(t => best.terms.set(t, (best.terms.get(t) || 0) + 1));
+            } else {
+                clusters.push({
+                    negated: item.negated,
+                    items: [item],
+                    sources: new Set([item.source]),
+                    terms: new Map([...item.terms].map(t => [t, 1]))
+                });
+            }
+        }
+
+        clusters.sort((a, b) => b.sources.size - a.sources.size || b.items.length - a.items.length);
+
+        const globalTerms = new Map();
+        clusters.forEach(c => c.terms.forEach((n, t) => globalTerms.set(t, (globalTerms.get(t) || 0) + n)));
+
+        const [main, ...rest] = clusters;
+        const consensus = this.describe(main, 'consensus', globalTerms);
+        const mainIds = new Set(main.items.map(i => i.id).filter(Boolean));
+
+        const alternatives = rest
+            .map(cluster => {
+                const contradictsMain = cluster.items.some(i => i.contradicts.some(id => mainIds.has(id)));
+                return { cluster, type: contradictsMain ? 'contrarian' : 'minority' };
+            })
+            // A lone claim from a single page is noise unless it contradicts the consensus
+            .filter(({ cluster, type }) => type === 'contrarian' || cluster.items.length > 1 || cluster.sources.size > 1)
+            .sort((a, b) => (a.type === 'contrarian' ? 0 : 1) - (b.type === 'contrarian' ? 0 : 1) ||
+                b.cluster.sources.size - a.cluster.sources.size)
+            .slice(0, this.maxAlternatives)
+            .map(({ cluster, type }) => this.describe(cluster, type, globalTerms));
+
+        return { consensus, alternatives };
+    }
+
+    /**
+     * Average Jaccard similarity against (up to) the first ten members.
+     */
+    similarity(item, cluster) {
+        const members = cluster.items.slice(0, 10);
+        return members.reduce((sum, m) => sum + jaccard(item.terms, m.terms), 0) / members.length;
+    }
+
+    describe(cluster, type, globalTerms) {
+        const sources = [...cluster.sources];
+        const topic = this.topTerms(cluster, globalTerms).join(', ');
+        const prefix = { consensus: 'Consensus', minority: 'Minority View', contrarian: 'Contrarian View' }[type];
+
+        // The member sharing the most vocabulary with the rest represents the group
+        const representative = cluster.items
+            .map(item => ({
+                item,
+                score: cluster.items.reduce((sum, other) => sum + (other === item ? 0 : jaccard(item.terms, other.terms)), 0)
+            }))
+            .sort((a, b) => b.score - a.score)[0].item;
+
+        const text = representative.text.length > 200 ? `${representative.text.substring(0, 197)}...` : representative.text;
+
+        return {
+            type,
+            label: topic ? `${prefix}: ${topic}` : prefix,
+            desc: `${text} (${sources.length} source${sources.length === 1 ? '' : 's'})`,
+            source: sources[0], // Primary link (what the Plasma UI renders)
+            sources,
+            support: sources.length,
+            claims: cluster.items.map(i => i.text)
+        };
+    }
+
+    // Terms frequent in this cluster relative to everything gathered
+    topTerms(cluster, globalTerms) {
+        return [...cluster.terms.entries()]
+            .filter(([, n]) => n > 1 || cluster.items.length === 1)
+            .map(([term, n]) => ({ term, score: n * (n / globalTerms.get(term)) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3)
+            .map(t => t.term);
+    }
+
+    /**
+     * Claim candidates straight from read documents: assertive sentences of sane length.
+     */
+    claimsFromDocuments(documents, perDocument = 20) {
+        return documents.flatMap(doc => doc.paragraphs
+            .flatMap(splitSentences)
+            .filter(s => s.length >= 40 && s.length <= 300 && ASSERTION_PATTERN.test(s))
+            .slice(0, perDocument)
+            .map(text => ({ text, source: doc.url })));
+    }
+}
+
+module.exports = { PerspectiveClusterer };
@@ -0,0 +1,92 @@
+// Most restrictive first
+const SAFETY_LEVELS = ['strict', 'moderate', 'off'];
+
+// Unambiguous terms count at every level ...
+const EXPLICIT_PATTERN = /\b(porn\w*|xxx|nsfw|hentai|onlyfans|erotic\w*|camgirls?|escorts?|fetish\w*)\b/gi;
+// ... these also name health, education and news topics ("sexual health"), so only strict counts them
+const SUGGESTIVE_PATTERN = /\b(sex(ual|y)?|nude|nudity|naked)\b/gi;
+
+// What the media pipeline (MediaProcessor `filter`) gets for each level
+const MEDIA_FILTER = { strict: 'safe', moderate: 'safe', off: 'none' };
+
+/**
+ * Content-safety policy. The deployment sets a level (SAFETY_LEVEL) and can lock it
+ * (SAFETY_LOCKED=true); a locked policy only lets users pick something stricter.
+ * The resolved level is passed to search providers, applied to search hits, read pages
+ * and media steps, and reported back in the response metadata. Providers without a
+ * safe-search parameter (Tavily, the local index) rely on the hit and page filters here.
+ */
+class SafetyPolicy {
+    constructor(config = {}) {
+        const level = config.level || process.env.SAFETY_LEVEL || 'moderate';
+        if (!SAFETY_LEVELS.includes(level)) {
+            throw new Error(`Invalid safety level "${level}" (expected ${SAFETY_LEVELS.join(', ')})`);
+        }
+        this.level = level;
+        this.locked = config.locked !== undefined ? Boolean(config.locked) : process.env.SAFETY_LOCKED === 'true';
+    }
+
+    static isLevel(value) {
+        return SAFETY_LEVELS.includes(value);
+    }
+
+    /**
+     * @param {string} requested - The user's level, if any
+     * @returns {{ level, media_filter, requested, source: 'deployment' | 'user', locked, overridden }}
+     */
+    resolve(requested = null) {
+        const base = { level: this.level, requested: requested || null, source: 'deployment', locked: this.locked, overridden: false };
+        let resolved = base;
+
+        if (requested && requested !== this.level) {
+            const stricter = SAFETY_LEVELS.indexOf(requested) < SAFETY_LEVELS.indexOf(this.level);
+            resolved = this.locked && !stricter
+                ? { ...base, overridden: true } // Locked: the user's looser choice is refused
+                : { ...base, level: requested, source: 'user' };
+        }
+        return { ...resolved, media_filter: MEDIA_FILTER[resolved.level] };
+    }
+
+    /**
+     * Search hits. strict: no explicit or suggestive terms anywhere; moderate: no explicit term in the URL or title.
+     */
+    filterResults(results, level) {
+        if (level === 'off') return { kept: results, removed: [] };
+
+        const kept = [];
+        const removed = [];
+        for (const result of results) {
+            const visible = level === 'strict'
+                ? `${result.url} ${result.title} ${result.snippet}`
+                : `${result.url} ${result.title}`;
+            (this.countExplicit(visible, level) > 0 ? removed : kept).push(result);
+        }
+        return { kept, removed };
+    }
+
+    /**
+     * Read pages. strict drops a page that repeats explicit terms; moderate only one that
+     * is saturated with them (a handful, and over 1% of the words), so health or news pages survive.
+     */
+    allowsDocument(document, level) {
+        if (level === 'off') return true;
+
+        const text = `${document.title || ''} ${document.text || ''}`;
+        const hits = this.countExplicit(text, level);
+        if (level === 'strict') return hits < 2;
+
+        const words = document.word_count || text.split(/\s+/).length;
+        return hits < 5 || hits / Math.max(words, 1) <= 0.01;
+    }
+
+    countExplicit(text, level = 'strict') {
+        const count = pattern => ((text || '').match(pattern) || []).length;
+        return count(EXPLICIT_PATTERN) + (level === 'strict' ? count(SUGGESTIVE_PATTERN) : 0);
+    }
+
+    describe() {
+        return { level: this.level, locked: this.locked, levels: SAFETY_LEVELS };
+    }
+}
+
+module.exports = { SafetyPolicy, SAFETY_LEVELS };
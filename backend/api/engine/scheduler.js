@@ -0,0 +1,150 @@
+const DEFAULT_TOOL_LIMITS = { web_search: 3, read: 4 };
+const DEFAULT_LIMIT = 2; // Tools without an explicit cap
+const DEFAULT_HOST_LIMIT = 2; // Politeness: concurrent requests to one site
+const DEFAULT_STEP_TIMEOUT_MS = 15000;
+const DEFAULT_BUDGET_MS = 45000;
+
+class StepTimeoutError extends Error {
+    constructor(label, ms) {
+        super(`Step "${label}" timed out after ${ms}ms`);
+        this.name = 'StepTimeoutError';
+    }
+}
+
+/**
+ * Runs Looper work concurrently under per-tool and per-host caps, with a timeout per
+ * task and one time budget for the whole search. One Scheduler per search.
+ * Tasks that would start after the budget ran out are skipped and reported.
+ */
+class Scheduler {
+    /**
+     * @param {object} config - { toolLimits, hostLimit, stepTimeout, budget (ms), signal: AbortSignal, events }
+     */
+    constructor(config = {}) {
+        this.toolLimits = { ...DEFAULT_TOOL_LIMITS, ...(config.toolLimits || {}) };
+        this.hostLimit = config.hostLimit || DEFAULT_HOST_LIMIT;
+        this.stepTimeout = config.stepTimeout || Number(process.env.STEP_TIMEOUT_MS) || DEFAULT_STEP_TIMEOUT_MS;
+        this.budget = config.budget || Number(process.env.SEARCH_BUDGET_MS) || DEFAULT_BUDGET_MS;
+        this.signal = config.signal || null;
+        this.events = config.events || null;
+
+        this.startedAt = Date.now();
+        this.deadline = this.startedAt + this.budget;
+        this.queue = [];
+        this.running = { tools: new Map(), hosts: new Map() };
+        this.skipped = []; // [{ tool, label, reason }]
+        this.timedOut = [];
+
+        // Rejects queued tasks right away, not when a running task next lets go of its slot
+        this.signal?.addEventListener('abort', () => this.pump(), { once: true });
+    }
+
+    remaining() {
+        return Math.max(0, this.deadline - Date.now());
+    }
+
+    exhausted() {
+        return this.remaining() === 0;
+    }
+
+    /**
+     * Queues a task and resolves with its outcome; never rejects except on search abort.
+     * @param {object} task - { tool, label, host, timeout, run: (signal) => Promise }
+     * @returns {Promise<{ status: 'ok' | 'failed' | 'timeout' | 'skipped', value?, error? }>}
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ ...task, resolve, reject });
+            this.pump();
+        });
+    }
+
+    // Starts every queued task whose tool and host both have a free slot
+    pump() {
+        for (let i = 0; i < this.queue.length; i++) {
+            const task = this.queue[i];
+
+            if (this.signal?.aborted) {
+                this.queue.splice(i--, 1);
+                task.reject(this.signal.reason);
+                continue;
+            }
+            if (this.exhausted()) {
+                this.queue.splice(i--, 1);
+                this.skip(task, 'budget');
+                continue;
+            }
+            if (!this.hasCapacity(task)) continue;
+
+            this.queue.splice(i--, 1);
+            this.start(task);
+        }
+    }
+
+    hasCapacity(task) {
+        const toolLimit = this.toolLimits[task.tool] || DEFAULT_LIMIT;
+        if ((this.running.tools.get(task.tool) || 0) >= toolLimit) return false;
+        return !task.host || (this.running.hosts.get(task.host) || 0) < this.hostLimit;
+    }
+
+    async start(task) {
+        this.adjust(task, 1);
+
+        const controller = new AbortController();
+        const timeout = Math.min(task.timeout || this.stepTimeout, this.remaining());
+        const onAbort = () => controller.abort(this.signal.reason);
+        this.signal?.addEventListener('abort', onAbort, { once: true });
+
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const err = new StepTimeoutError(task.label || task.tool, timeout);
+                controller.abort(err);
+                reject(err);
+            }, timeout);
+        });
+
+        try {
+            // Race as well as abort, so a task that ignores its signal still lets go
+            const value = await Promise.race([task.run(controller.signal), timedOut]);
+            task.resolve({ status: 'ok', value });
+        } catch (err) {
+            if (this.signal?.aborted) {
+                task.reject(this.signal.reason);
+            } else if (err instanceof StepTimeoutError) {
+                this.timedOut.push({ tool: task.tool, label: task.label || null, timeout_ms: timeout });
+                task.resolve({ status: 'timeout', error: err });
+            } else {
+                task.resolve({ status: 'failed', error: err });
+            }
+        } finally {
+            clearTimeout(timer);
+            this.signal?.removeEventListener('abort', onAbort);
+            this.adjust(task, -1);
+            this.pump();
+        }
+    }
+
+    adjust(task, delta) {
+        this.running.tools.set(task.tool, (this.running.tools.get(task.tool) || 0) + delta);
+        if (task.host) this.running.hosts.set(task.host, (this.running.hosts.get(task.host) || 0) + delta);
+    }
+
+    skip(task, reason) {
+        const entry = { tool: task.tool, label: task.label || null, reason };
+        this.skipped.push(entry);
+        if (this.events) this.events.emit('step_skipped', entry);
+        task.resolve({ status: 'skipped' });
+    }
+
+    report() {
+        return {
+            budget_ms: this.budget,
+            elapsed_ms: Date.now() - this.startedAt,
+            skipped: this.skipped,
+            timed_out: this.timedOut
+        };
+    }
+}
+
+module.exports = { Scheduler, StepTimeoutError };
@@ -1,83 +1,338 @@
 const fetch = require('node-fetch');
 
+// Why a local model call failed; callers decide what to fall back to
+const LOCAL_ERRORS = {
+    MODEL_MISSING: 'model_missing', // Ollama is up but the model is not installed
+    BRIDGE_OFFLINE: 'bridge_offline', // Nothing answering at the endpoint
+    TIMEOUT: 'timeout', // No response within the bridge timeout
+    MODEL_ERROR: 'model_error' // Ollama answered with any other error
+};
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const HEALTH_TIMEOUT_MS = 2000; // A runner that takes longer to list its models is as good as down
+
+class LocalModelError extends Error {
+    constructor(code, message, model = null) {
+        super(message);
+        this.name = 'LocalModelError';
+        this.code = code;
+        this.model = model;
+    }
+}
+
+/**
+ * Talks to a local model runner (Ollama) so Studio and the engine work offline.
+ * Calls throw LocalModelError when no model answers; nothing here invents an answer.
+ */
 class LocalBridge {
-    constructor(endpoint = 'http://localhost:11434') {
+    /**
+     * @param {object} config - { autoPull: pull a missing model and retry, waiting for the download
+     *   (LOCAL_AUTO_PULL=true), mockFallback: callers may show mockExpertResponse placeholders
+     *   (LOCAL_MOCK_FALLBACK=true), timeout: ms until Ollama responds (LOCAL_TIMEOUT_MS) }
+     */
+    constructor(endpoint = 'http://localhost:11434', config = {}) {
         this.endpoint = endpoint; // Default to Ollama port
+        this.autoPull = config.autoPull !== undefined ? Boolean(config.autoPull) : process.env.LOCAL_AUTO_PULL === 'true';
+        this.mockFallback = config.mockFallback !== undefined ? Boolean(config.mockFallback) : process.env.LOCAL_MOCK_FALLBACK === 'true';
+        this.timeout = config.timeout || Number(process.env.LOCAL_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
     }
 
-    async checkHealth() {
+    /**
+     * @param {object} options - { signal: AbortSignal, timeout: ms (at most HEALTH_TIMEOUT_MS) }
+     * @returns {Promise<boolean>} false when the runner is down, slow, or the check was aborted
+     */
+    async checkHealth(options = {}) {
         try {
-            const res = await fetch(`${this.endpoint}/api/tags`);
+            const timeout = Math.min(options.timeout || HEALTH_TIMEOUT_MS, HEALTH_TIMEOUT_MS);
+            const res = await fetch(`${this.endpoint}/api/tags`, { signal: options.signal, timeout });
             return res.ok;
         } catch {
             return false;
         }
     }
 
-    async generate(prompt, model = 'llama3', system = '') {
-        // This connects to a local LLM runner (like Ollama)
-        // Allows "Studio" to work offline with "Mixtral" or "Llama 3" as requested
+    /**
+     * One blocking generation.
+     * @param {object} options - { signal: AbortSignal, timeout: ms instead of the bridge timeout }
+     * @returns {Promise<string>}
+     * @throws {LocalModelError}
+     */
+    async generate(prompt, model = 'llama3', system = '', options = {}) {
         console.log(`[LOCAL BRIDGE] Sending to ${model}...`);
+        return this.withModel(model, options.signal, async () => {
+            const response = await this.request('/api/generate', { body: { model, prompt, system, stream: false }, signal: options.signal, timeout: options.timeout, model });
+            const data = await response.json().catch(err => { throw this.failure(err, model); });
+            return data.response;
+        });
+    }
+
+    /**
+     * Streams a generation token by token from Ollama's NDJSON response.
+     * Throws LocalModelError like `generate`, and stops (closing the connection) when
+     * `signal` aborts or the caller leaves the loop early.
+     * @param {object} options - { signal: AbortSignal }
+     * @returns {AsyncGenerator<string>}
+     */
+    async *generateStream(prompt, model = 'llama3', system = '', options = {}) {
+        console.log(`[LOCAL BRIDGE] Streaming from ${model}...`);
+        const body = { model, prompt, system, stream: true };
+        for await (const data of this.withModelStream(model, options.signal, () => this.streamNdjson('/api/generate', body, options.signal))) {
+            if (data.response) yield data.response;
+        }
+    }
+
+    /**
+     * One reply to a conversation through Ollama's /api/chat.
+     * @param {Array<{role: 'system' | 'user' | 'assistant', content: string}>} messages
+     * @param {object} options - { signal, num_ctx: context window to run the model with }
+     * @returns {Promise<string>}
+     */
+    async chat(messages, model = 'llama3', options = {}) {
+        return this.withModel(model, options.signal, async () => {
+            const response = await this.request('/api/chat', { body: this.chatBody(messages, model, options, false), signal: options.signal, model });
+            const data = await response.json().catch(err => { throw this.failure(err, model); });
+            return data.message ? data.message.content : '';
+        });
+    }
 
+    /**
+     * `chat`, streamed token by token (see generateStream).
+     * @returns {AsyncGenerator<string>}
+     */
+    async *chatStream(messages, model = 'llama3', options = {}) {
+        const body = this.chatBody(messages, model, options, true);
+        for await (const data of this.withModelStream(model, options.signal, () => this.streamNdjson('/api/chat', body, options.signal))) {
+            if (data.message && data.message.content) yield data.message.content;
+        }
+    }
+
+    chatBody(messages, model, options, stream) {
+        return {
+            model,
+            messages,
+            stream,
+            ...(options.num_ctx ? { options: { num_ctx: options.num_ctx } } : {})
+        };
+    }
+
+    /**
+     * The model's trained context length (from /api/show), or null when unknown.
+     */
+    async contextLength(model = 'llama3') {
         try {
-            const response = await fetch(`${this.endpoint}/api/generate`, {
+            const response = await fetch(`${this.endpoint}/api/show`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: model,
-                    prompt: prompt,
-                    system: system,
-                    stream: false
-                })
+                body: JSON.stringify({ name: model }),
+                timeout: 5000
             });
+            if (!response.ok) return null;
+            const data = await response.json();
+            const key = Object.keys(data.model_info || {}).find(k => k.endsWith('.context_length'));
+            return key ? Number(data.model_info[key]) || null : null;
+        } catch {
+            return null;
+        }
+    }
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                if (response.status === 404 && errorData.error.includes('not found')) {
-                    console.warn(`[LOCAL BRIDGE] Model '${model}' not found. Attempting to download...`);
-                    const downloadResult = await this.downloadModel(model);
-                    if (downloadResult.status === 'success') {
-                        console.log(`[LOCAL BRIDGE] Model '${model}' downloaded. Please try generating again.`);
-                        return `[System: Local LLM] Model '${model}' was not found and has been downloaded. Please try your request again.`;
-                    } else {
-                        throw new Error(`Model '${model}' not found and download failed: ${downloadResult.message}`);
-                    }
-                }
-                throw new Error(`API error: ${response.status} ${response.statusText} - ${errorData.error}`);
+    /**
+     * Runs `call`; when the model is missing and auto-pull is on, pulls it and tries once more.
+     */
+    async withModel(model, signal, call) {
+        try {
+            return await call();
+        } catch (err) {
+            if (!this.shouldPull(err)) throw err;
+            await this.pullModel(model, signal);
+            return call();
+        }
+    }
+
+    // `withModel` for streams; only retried when nothing was yielded yet
+    async *withModelStream(model, signal, open) {
+        let yielded = false;
+        try {
+            for await (const data of open()) {
+                yielded = true;
+                yield data;
             }
+        } catch (err) {
+            if (yielded || !this.shouldPull(err)) throw err;
+            await this.pullModel(model, signal);
+            yield* open();
+        }
+    }
 
-            const data = await response.json();
-            return data.response;
+    shouldPull(err) {
+        return this.autoPull && err instanceof LocalModelError && err.code === LOCAL_ERRORS.MODEL_MISSING;
+    }
+
+    // Blocking pull for auto-pull; progress goes to the log (the API offers pull jobs instead)
+    async pullModel(model, signal) {
+        console.warn(`[LOCAL BRIDGE] Model '${model}' not found. Auto-pull is on, downloading...`);
+        let last = null;
+        try {
+            for await (const line of this.pullStream(model, { signal })) {
+                if (line.status !== last) console.log(`[LOCAL BRIDGE] ${model}: ${line.status}`);
+                last = line.status;
+            }
         } catch (err) {
-            console.warn('[LOCAL BRIDGE] Offline model generation failed. Falling back to mocked expert.', err.message);
-            return this.mockExpertResponse(prompt);
+            if (signal?.aborted) throw err;
+            throw new LocalModelError(LOCAL_ERRORS.MODEL_MISSING, `Model '${model}' is not installed and could not be pulled: ${err.message}`, model);
+        }
+        if (last !== 'success') {
+            throw new LocalModelError(LOCAL_ERRORS.MODEL_MISSING, `Model '${model}' is not installed and the pull did not finish`, model);
         }
     }
 
-    async downloadModel(modelName) {
-        console.log(`[LOCAL BRIDGE] Requesting download for: ${modelName}`);
+    /**
+     * Calls Ollama; every failure except an abort becomes a LocalModelError.
+     * @param {object} options - { method (POST), body, signal, model (for error messages), timeout (the bridge's) }
+     */
+    async request(path, options = {}) {
+        const { method = 'POST', body, signal, model = null } = options;
+        let response;
         try {
-            const response = await fetch(`${this.endpoint}/api/pull`, {
-                method: 'POST',
+            response = await fetch(`${this.endpoint}${path}`, {
+                method,
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name: modelName, stream: false })
+                body: body ? JSON.stringify(body) : undefined,
+                signal,
+                timeout: options.timeout || this.timeout // Until headers for streams, until the whole body otherwise
             });
+        } catch (err) {
+            throw this.failure(err, model);
+        }
+        if (!response.ok) throw await this.apiError(response, model);
+        return response;
+    }
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`Download failed: ${errorData.error}`);
+    failure(err, model) {
+        if (err.name === 'AbortError' || err instanceof LocalModelError) return err;
+        if (err.type === 'request-timeout' || err.type === 'body-timeout') {
+            return new LocalModelError(LOCAL_ERRORS.TIMEOUT, `No response from the local model in time (${err.message})`, model);
+        }
+        if (err.type === 'system') {
+            return new LocalModelError(LOCAL_ERRORS.BRIDGE_OFFLINE, `Local bridge unreachable at ${this.endpoint} (${err.code || err.message})`, model);
+        }
+        return new LocalModelError(LOCAL_ERRORS.MODEL_ERROR, err.message, model);
+    }
+
+    // Yields each parsed line of an NDJSON response until Ollama reports `done`
+    async *streamNdjson(path, body, signal) {
+        const model = body.model || body.name || null;
+        const response = await this.request(path, { body, signal, model });
+
+        const decoder = new TextDecoder(); // Keeps a multi-byte character split across chunks whole
+        let buffer = '';
+        try {
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop(); // Keep the incomplete line
+
+                for (const line of lines) {
+                    const data = this.parseStreamLine(line, model);
+                    if (!data) continue;
+                    yield data;
+                    if (data.done) return;
+                }
             }
-            return { status: 'success', message: `Model ${modelName} downloaded/updated.` };
+            const data = this.parseStreamLine(buffer + decoder.decode(), model);
+            if (data) yield data;
+        } catch (err) {
+            throw this.failure(err, model);
+        } finally {
+            response.body.destroy(); // No-op once the stream ended; closes it on abort or early exit
+        }
+    }
+
+    parseStreamLine(line, model = null) {
+        if (!line.trim()) return null;
+        const data = JSON.parse(line);
+        if (data.error) throw this.modelError(data.error, model);
+        return data;
+    }
+
+    async apiError(response, model = null) {
+        const errorData = await response.json().catch(() => ({}));
+        if (response.status === 404 && /not found/i.test(errorData.error || '')) {
+            return this.modelError(errorData.error, model);
+        }
+        return new LocalModelError(LOCAL_ERRORS.MODEL_ERROR, `API error: ${response.status} ${response.statusText} - ${errorData.error || 'unknown'}`, model);
+    }
+
+    modelError(message, model) {
+        const missing = /model .*not found|try pulling it/i.test(message);
+        return new LocalModelError(missing ? LOCAL_ERRORS.MODEL_MISSING : LOCAL_ERRORS.MODEL_ERROR,
+            missing ? `Model '${model}' is not installed (${message})` : `Model error: ${message}`, model);
+    }
+
+    /**
+     * Embedding vector for `text` from an Ollama embedding model (e.g. nomic-embed-text).
+     * Throws LocalModelError when the bridge or model is unavailable; callers pick their own fallback.
+     */
+    async embed(text, model = 'nomic-embed-text') {
+        const response = await this.request('/api/embeddings', { body: { model, prompt: text }, model, timeout: 5000 });
+        const data = await response.json().catch(err => { throw this.failure(err, model); });
+        if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+            throw new LocalModelError(LOCAL_ERRORS.MODEL_ERROR, `Model '${model}' returned no embedding`, model);
+        }
+        return data.embedding;
+    }
+
+    /**
+     * Models installed in Ollama (/api/tags). Throws LocalModelError when the bridge is unreachable.
+     * @returns {Promise<Array<{name, size, digest, modified_at, family, parameter_size, quantization, format}>>}
+     */
+    async listModels() {
+        const response = await this.request('/api/tags', { method: 'GET', timeout: 5000 });
+        const data = await response.json().catch(err => { throw this.failure(err, null); });
+        return (data.models || []).map(model => ({
+            name: model.name,
+            size: model.size || 0,
+            digest: model.digest || null,
+            modified_at: model.modified_at || null,
+            family: model.details?.family || null,
+            parameter_size: model.details?.parameter_size || null,
+            quantization: model.details?.quantization_level || null,
+            format: model.details?.format || null
+        }));
+    }
+
+    /**
+     * Pulls a model, yielding Ollama's progress lines as they arrive:
+     * { status, digest, total, completed } per layer, then { status: 'success' }.
+     * Cancelled (and the connection closed) when `signal` aborts.
+     * @param {object} options - { signal: AbortSignal }
+     * @returns {AsyncGenerator<object>}
+     */
+    async *pullStream(modelName, options = {}) {
+        console.log(`[LOCAL BRIDGE] Pulling ${modelName}...`);
+        yield* this.streamNdjson('/api/pull', { name: modelName, stream: true }, options.signal);
+    }
+
+    /**
+     * Removes an installed model. Resolves false when Ollama does not have it.
+     */
+    async deleteModel(modelName) {
+        try {
+            await this.request('/api/delete', { method: 'DELETE', body: { name: modelName }, model: modelName });
+            return true;
         } catch (err) {
-            console.warn('[LOCAL BRIDGE] Download failed. Is Ollama running?', err);
-            return { status: 'error', message: 'Offline bridge unreachable or download error.' };
+            if (err.code === LOCAL_ERRORS.MODEL_MISSING) return false;
+            throw err;
         }
     }
 
+    /**
+     * Canned expert text for demos without a local model. Only shown when `mockFallback` is on,
+     * and always labelled as a placeholder so it cannot pass for a real answer.
+     */
     mockExpertResponse(prompt) {
         // Specialized Curation for Patent/Legal Papers
         if (prompt.includes('patent') || prompt.includes('legal')) {
-            return `[PATENT DRAFT GENERATED BY LOCAL-LLAMA-3-70B]
+            return `[PLACEHOLDER PATENT DRAFT - no local model answered]
       
 **TITLE**: System and Method for ${prompt}
 
@@ -108,4 +363,4 @@ Conventional systems fail to...
     }
 }
 
-module.exports = { LocalBridge };
+module.exports = { LocalBridge, LocalModelError, LOCAL_ERRORS };
@@ -2,11 +2,22 @@ const { exec } = require('child_process');
 const util = require('util');
 // const execAsync = util.promisify(exec); // In production
 
+// What the (simulated) vision pass finds, and the scene filter each tag answers to
+const SCENE_LIBRARY = [
+    { start: '00:10', end: '00:45', tag: 'High Action', category: 'action', confidence: 0.98 },
+    { start: '02:15', end: '03:00', tag: 'Key Dialogue', category: 'dialogue', confidence: 0.92 },
+    { start: '05:30', end: '06:10', tag: 'Climax', category: 'action', confidence: 0.99 }
+];
+
+/**
+ * Scene scanning and compilation are simulated until the vision model and FFmpeg pass
+ * land: scenes come from SCENE_LIBRARY and every result is marked `simulated: true`.
+ */
 class MediaProcessor {
     /**
      * Scans and compiles video segments.
      * @param {string} query - "action scenes from X"
-     * @param {object} options - { filter: 'explicit' | 'safe' | 'none' }
+     * @param {object} options - { filter: 'explicit' | 'safe' | 'none', sources: Array<{url, title}>, signal }
      */
     async process(query, options = {}) {
         console.log(`[STUDIO] Processing Media: "${query}" (Filter: ${options.filter || 'default'})`);
@@ -15,24 +26,57 @@ class MediaProcessor {
         // 2. Download to temp
         // 3. Scan frames with Vision Model (simulated)
         // 4. Stitch with FFmpeg
+        const analysis = await this.analyzeScenes(options.sources || [], options);
+        return this.compile(analysis.scenes, { ...options, source_count: analysis.source_count });
+    }
+
+    /**
+     * Scans source videos for scenes matching `filters` (e.g. ['action']).
+     * @returns {Promise<{ scenes: Array<{start, end, tag, category, confidence, source, simulated}>, source_count }>}
+     */
+    async analyzeScenes(sources, options = {}) {
+        const filters = options.filters && options.filters.length ? options.filters : null;
+        console.log(`[STUDIO] Scanning ${sources.length} source(s) for ${filters ? filters.join(', ') : 'all'} scenes`);
+
+        await this.wait(1000, options.signal); // Simulate frame scanning
 
-        await new Promise(r => setTimeout(r, 1500)); // Simulate processing time
+        const scenes = SCENE_LIBRARY
+            .filter(scene => !filters || filters.includes(scene.category))
+            .map((scene, i) => ({ ...scene, source: sources.length ? sources[i % sources.length].url : null, simulated: true }));
+        return { scenes, source_count: sources.length };
+    }
+
+    /**
+     * Stitches scenes into one video.
+     * @param {object} options - { format, resolution, filter, source_count, signal }
+     */
+    async compile(scenes, options = {}) {
+        await this.wait(500, options.signal); // Simulate the FFmpeg pass
 
         return {
             status: 'compiled',
-            video_url: `https://studio-render.internal/compilation-${Date.now()}.mp4`,
-            scenes: [
-                { start: '00:10', end: '00:45', tag: 'High Action', confidence: 0.98 },
-                { start: '02:15', end: '03:00', tag: 'Key Dialogue', confidence: 0.92 },
-                { start: '05:30', end: '06:10', tag: 'Climax', confidence: 0.99 }
-            ],
+            video_url: `https://studio-render.internal/compilation-${Date.now()}.${options.format || 'mp4'}`,
+            scenes,
             metadata: {
-                resolution: '1080p',
+                resolution: options.resolution || '1080p',
                 duration: '185s',
-                source_count: 4
+                source_count: options.source_count || 0,
+                filter: options.filter || 'default',
+                simulated: true
             }
         };
     }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            signal?.throwIfAborted();
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        });
+    }
 }
 
 module.exports = { MediaProcessor };
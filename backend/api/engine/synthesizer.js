@@ -0,0 +1,325 @@
+const fetch = require('node-fetch');
+const { LocalBridge, LocalModelError, LOCAL_ERRORS } = require('./studio/local_bridge');
+const { STOPWORDS, tokenize, overlap, jaccard, splitSentences } = require('./text_utils');
+
+const SYSTEM_PROMPT = `You are a research synthesizer. Answer the user's question using ONLY the numbered sources provided.
+After every factual statement, cite the supporting source numbers in square brackets, e.g. [1] or [2][3].
+Never cite a number that is not in the source list. If the sources disagree, say so and cite both sides.
+If the sources do not answer the question, say what is missing. Be concise (at most 6 sentences).`;
+
+const MAX_CONTEXT_CHARS = 6000;
+const MAX_SOURCES = 8;
+const MAX_FINDING_CHARS = 300;
+const REMOTE_TIMEOUT_MS = 60000;
+
+/**
+ * Turns the gathered ContextGraph content into a cited answer.
+ * Uses LocalBridge (Ollama) by default, an OpenAI-compatible endpoint when
+ * SYNTHESIS_PROVIDER=remote, and an extractive summary when no model is reachable.
+ */
+class Synthesizer {
+    constructor(config = {}) {
+        this.bridge = config.bridge || new LocalBridge();
+        this.provider = config.provider || process.env.SYNTHESIS_PROVIDER || 'local';
+        this.model = config.model || process.env.SYNTHESIS_MODEL || 'llama3';
+        this.remote = {
+            url: config.remoteUrl || process.env.SYNTHESIS_API_URL || null,
+            apiKey: config.remoteApiKey || process.env.SYNTHESIS_API_KEY || null,
+            timeout: config.remoteTimeout || Number(process.env.SYNTHESIS_API_TIMEOUT_MS) || REMOTE_TIMEOUT_MS
+        };
+    }
+
+    /**
+     * @param {object} options - { onToken: (token) => void streams the local model's raw answer as it is written, signal: AbortSignal }
+     * @returns {Promise<{answer, citations, sources, confidence, model, model_error?: { code, message }}>}
+     */
+    async synthesize(query, context, options = {}) {
+        const sources = this.selectSources(query, context);
+        if (sources.length === 0) {
+            return {
+                answer: `No readable sources were found for "${query}".`,
+                citations: [],
+                sources: [],
+                confidence: 0,
+                model: null
+            };
+        }
+
+        const prompt = this.buildPrompt(query, sources);
+        let raw = null;
+        let model = null;
+        let modelError = null; // Why the answer is extractive, so clients can say so
+        try {
+            raw = await this.generate(prompt, options);
+            model = raw ? `${this.provider}:${this.model}` : null;
+        } catch (err) {
+            if (options.signal?.aborted) throw err;
+            modelError = { code: this.errorCode(err), message: err.message };
+            console.warn(`[SYNTHESIZER] Model generation failed (${err.message}). Using extractive fallback.`);
+        }
+
+        if (!raw) {
+            raw = this.extractiveAnswer(query, sources);
+            model = 'extractive';
+        }
+
+        const { answer, citations } = this.resolveCitations(raw, sources);
+
+        return {
+            answer,
+            citations,
+            sources: sources.map(({ passages, terms, ...source }) => source),
+            confidence: this.scoreConfidence(answer, citations, sources),
+            model,
+            ...(modelError ? { model_error: modelError } : {})
+        };
+    }
+
+    /**
+     * Best sentence for each sub-question of a decomposed plan and, for comparisons,
+     * the same findings laid out as a table (one row per aspect, one column per subject).
+     * Cells cite `marker` when the page is in the numbered source list.
+     * @param {object} decomposition - plan.decomposition (see QueryDecomposer)
+     * @param {Array} sources - The answer's numbered sources
+     * @returns {{ findings: Array<{id, question, text, url, marker}>, comparison: { columns, rows: Array<{aspect, cells}> } | null }}
+     */
+    mergeFindings(decomposition, context, sources = []) {
+        const markers = new Map(sources.map(s => [s.url, s.index]));
+        const sentences = context.getDocuments().flatMap(doc => doc.paragraphs
+            .flatMap(splitSentences)
+            .filter(text => text.length > 20 && text.length <= MAX_FINDING_CHARS)
+            .map(text => ({ text, url: doc.url, words: new Set(text.toLowerCase().split(/[^a-z0-9$]+/)) })));
+
+        const findings = decomposition.sub_questions.map(sq => {
+            const best = this.bestSentence(sq, sentences);
+            return {
+                id: sq.id,
+                question: sq.question,
+                subject: sq.subject,
+                aspect: sq.aspect,
+                text: best ? best.text : null,
+                url: best ? best.url : null,
+                marker: best ? markers.get(best.url) || null : null
+            };
+        });
+
+        let comparison = null;
+        if (decomposition.kind === 'comparison') {
+            const aspects = decomposition.aspects.length ? decomposition.aspects : [null];
+            comparison = {
+                columns: decomposition.subjects,
+                rows: aspects.map(aspect => ({
+                    aspect,
+                    cells: decomposition.subjects.map(subject => {
+                        const finding = findings.find(f => f.subject === subject && f.aspect === aspect);
+                        return finding
+                            ? { subject, text: finding.text, url: finding.url, marker: finding.marker }
+                            : { subject, text: null, url: null, marker: null }; // Beyond the sub-question cap
+                    })
+                }))
+            };
+        }
+        return { findings, comparison };
+    }
+
+    /**
+     * Comparison cells need every word of the subject ("pixel 8" must not match "pixel 7")
+     * and some of the aspect; sentences carrying figures win ties.
+     */
+    bestSentence(subQuestion, sentences) {
+        const words = text => (text || '').toLowerCase().split(/[^a-z0-9$]+/).filter(w => w && !STOPWORDS.has(w));
+        const subjectWords = subQuestion.subject ? words(subQuestion.subject) : [];
+        const terms = tokenize(subQuestion.aspect || subQuestion.question);
+
+        return sentences
+            .filter(s => subjectWords.every(w => s.words.has(w)))
+            .map(s => {
+                const matched = terms.length ? terms.filter(t => s.words.has(t)).length / terms.length : 1;
+                return { ...s, score: matched + (/\d/.test(s.text) ? 0.2 : 0) };
+            })
+            .filter(s => s.score >= (subQuestion.subject ? 0.5 : 0.7)) // Part questions lean on their terms alone
+            .sort((a, b) => b.score - a.score || a.text.length - b.text.length)[0] || null;
+    }
+
+    /**
+     * Numbered source list with the passages most relevant to the query.
+     */
+    selectSources(query, context) {
+        const queryTerms = tokenize(query);
+        const documents = new Map(context.getDocuments().map(doc => [doc.url, doc]));
+        const budget = Math.floor(MAX_CONTEXT_CHARS / MAX_SOURCES);
+
+        return context.getSources()
+            .filter(source => documents.has(source.url))
+            .slice(0, MAX_SOURCES)
+            .map((source, i) => {
+                const doc = documents.get(source.url);
+                const ranked = doc.paragraphs
+                    .map((text, order) => ({ text, order, score: overlap(tokenize(text), queryTerms) }))
+                    .sort((a, b) => b.score - a.score || a.order - b.order);
+
+                const passages = [];
+                let used = 0;
+                for (const p of ranked) {
+                    if (used + p.text.length > budget && passages.length > 0) break;
+                    passages.push(p.text);
+                    used += p.text.length;
+                }
+
+                return {
+                    index: i + 1,
+                    url: source.url,
+                    title: source.title || source.url,
+                    snippet: source.snippet || passages[0] || '',
+                    passages,
+                    terms: new Set(tokenize(doc.text))
+                };
+            });
+    }
+
+    buildPrompt(query, sources) {
+        const list = sources
+            .map(s => `[${s.index}] ${s.title} (${s.url})\n${s.passages.join('\n')}`)
+            .join('\n\n');
+        return `Sources:\n\n${list}\n\nQuestion: ${query}\n\nAnswer with inline citations:`;
+    }
+
+    async generate(prompt, options = {}) {
+        if (this.provider === 'remote') {
+            return this.generateRemote(prompt, options.signal);
+        }
+
+        // LocalBridge throws a LocalModelError (bridge_offline, model_missing, timeout) when no model answers
+        if (!options.onToken) {
+            return this.bridge.generate(prompt, this.model, SYSTEM_PROMPT, { signal: options.signal });
+        }
+
+        let raw = '';
+        for await (const token of this.bridge.generateStream(prompt, this.model, SYSTEM_PROMPT, { signal: options.signal })) {
+            raw += token;
+            options.onToken(token);
+        }
+        return raw || null;
+    }
+
+    // OpenAI-compatible chat completions endpoint; gives up after remote.timeout or when `signal` aborts
+    async generateRemote(prompt, signal) {
+        if (!this.remote.url) {
+            throw new Error('Remote synthesis endpoint not configured (set SYNTHESIS_API_URL)');
+        }
+
+        const response = await fetch(`${this.remote.url.replace(/\/$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.remote.apiKey ? { 'Authorization': `Bearer ${this.remote.apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model: this.model,
+                temperature: 0.2,
+                messages: [
+                    { role: 'system', content: SYSTEM_PROMPT },
+                    { role: 'user', content: prompt }
+                ]
+            }),
+            signal,
+            timeout: this.remote.timeout
+        });
+
+        if (!response.ok) {
+            throw new Error(`Remote API error: ${response.status} ${response.statusText}`);
+        }
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content || null;
+    }
+
+    // LocalModelError codes for remote failures too, so clients handle one vocabulary
+    errorCode(err) {
+        if (err instanceof LocalModelError) return err.code;
+        if (err.type === 'request-timeout' || err.type === 'body-timeout') return LOCAL_ERRORS.TIMEOUT;
+        return LOCAL_ERRORS.MODEL_ERROR;
+    }
+
+    /**
+     * No model available: stitch together the sentences that best match the query,
+     * preferring one per source so the answer still carries real citations.
+     */
+    extractiveAnswer(query, sources) {
+        const queryTerms = tokenize(query);
+        const picked = [];
+
+        for (const source of sources) {
+            const best = source.passages
+                .flatMap(splitSentences)
+                .map(sentence => ({ sentence, score: overlap(tokenize(sentence), queryTerms) }))
+                .sort((a, b) => b.score - a.score)[0];
+            if (best && best.sentence.length > 30) {
+                picked.push({ ...best, index: source.index });
+            }
+        }
+
+        return picked
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 4)
+            .map(p => `${p.sentence.replace(/[.!?]*$/, '')} [${p.index}].`)
+            .join(' ');
+    }
+
+    /**
+     * Keeps citation markers that point at a real source, drops the rest,
+     * and returns the cited sources in order of first appearance.
+     */
+    resolveCitations(raw, sources) {
+        const byIndex = new Map(sources.map(s => [s.index, s]));
+        const cited = new Map();
+
+        const answer = raw
+            .replace(/\[(\d+)\]/g, (marker, n) => {
+                const source = byIndex.get(Number(n));
+                if (!source) return '';
+                if (!cited.has(source.index)) {
+                    cited.set(source.index, { marker: source.index, url: source.url, title: source.title });
+                }
+                return marker;
+            })
+            .replace(/[ \t]+([.,;:])/g, '$1')
+            .trim();
+
+        return { answer, citations: [...cited.values()] };
+    }
+
+    /**
+     * Confidence from agreement, not from the model's say-so:
+     * - support: share of answer sentences backed by two or more sources
+     * - consensus: how much vocabulary the cited sources share with each other
+     * - coverage: how many independent sources were read at all
+     */
+    scoreConfidence(answer, citations, sources) {
+        if (citations.length === 0) return 0.1;
+
+        const sentences = splitSentences(answer);
+        const cited = sentences.map(s => new Set(s.match(/\[\d+\]/g) || []).size);
+        const citedSentences = cited.filter(n => n > 0).length;
+        const support = sentences.length
+            ? cited.reduce((sum, n) => sum + Math.min(n, 2) / 2, 0) / sentences.length
+            : 0;
+        const grounded = sentences.length ? citedSentences / sentences.length : 0;
+
+        const citedSources = sources.filter(s => citations.some(c => c.marker === s.index));
+        let consensus = 0;
+        let pairs = 0;
+        for (let i = 0; i < citedSources.length; i++) {
+            for (let j = i + 1; j < citedSources.length; j++) {
+                consensus += jaccard(citedSources[i].terms, citedSources[j].terms);
+                pairs++;
+            }
+        }
+        consensus = pairs ? Math.min(1, (consensus / pairs) * 4) : 0; // Jaccard of distinct pages rarely exceeds 0.25
+
+        const coverage = Math.min(1, sources.length / 5);
+        const score = 0.35 * grounded + 0.25 * support + 0.25 * consensus + 0.15 * coverage;
+        return Math.round(Math.min(0.99, score) * 100) / 100;
+    }
+}
+
+module.exports = { Synthesizer };
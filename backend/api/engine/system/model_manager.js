@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { LocalBridge } = require('../studio/local_bridge');
+
+const MAX_FINISHED_JOBS = 20; // Finished pulls kept around for clients polling late
+const FINISHED = new Set(['done', 'failed', 'cancelled']);
+const TERMINAL_EVENTS = { done: 'complete', failed: 'error', cancelled: 'cancelled' };
+
+/**
+ * Installed Ollama models and the pulls that fetch new ones. Each pull runs as a
+ * background job with byte progress (summed over the layers Ollama has announced so far,
+ * so the percentage can dip when a new layer starts) that clients poll or follow as events.
+ * Jobs live in memory only; a restart forgets them, not the models already pulled.
+ */
+class ModelManager {
+    /**
+     * @param {object} config - { bridge }
+     */
+    constructor(config = {}) {
+        this.bridge = config.bridge || new LocalBridge();
+        this.jobs = new Map(); // id -> job
+    }
+
+    /**
+     * Installed models with human-readable sizes.
+     * @throws when the bridge is unreachable
+     */
+    async catalog() {
+        const models = await this.bridge.listModels();
+        return models.map(model => ({
+            name: model.name,
+            size_bytes: model.size,
+            size: formatBytes(model.size),
+            family: model.family,
+            parameters: model.parameter_size,
+            quantization: model.quantization,
+            format: model.format,
+            digest: model.digest,
+            modified_at: model.modified_at
+        }));
+    }
+
+    /**
+     * Starts pulling `model`, or returns the pull already running for it.
+     * @returns {object} The job snapshot (see `snapshot`)
+     */
+    pull(model) {
+        const running = this.activePull(model);
+        if (running) return this.snapshot(running);
+
+        const job = {
+            id: crypto.randomUUID(),
+            model,
+            status: 'queued',
+            detail: null, // Ollama's own status line, e.g. "verifying sha256 digest"
+            layers: new Map(), // digest -> { total, completed }
+            error: null,
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            controller: new AbortController(),
+            events: new EventEmitter(),
+            lastReported: null
+        };
+        this.jobs.set(job.id, job);
+        this.run(job);
+        return this.snapshot(job);
+    }
+
+    async run(job) {
+        try {
+            job.status = 'pulling';
+            this.emit(job, 'progress');
+
+            let succeeded = false;
+            for await (const line of this.bridge.pullStream(job.model, { signal: job.controller.signal })) {
+                job.detail = line.status || job.detail;
+                if (line.digest && line.total) {
+                    job.layers.set(line.digest, { total: line.total, completed: line.completed || 0 });
+                }
+                succeeded = line.status === 'success';
+                this.progress(job);
+            }
+            if (!succeeded) throw new Error('Pull ended before Ollama reported success');
+
+            this.finish(job, 'done');
+            console.log(`[MODELS] Pulled ${job.model}`);
+        } catch (err) {
+            if (job.controller.signal.aborted) {
+                this.finish(job, 'cancelled');
+                console.log(`[MODELS] Pull of ${job.model} cancelled`);
+                return;
+            }
+            job.error = err.message;
+            this.finish(job, 'failed');
+            console.warn(`[MODELS] Pull of ${job.model} failed: ${err.message}`);
+        }
+    }
+
+    // Ollama reports many times a second; pass on whole-percent steps and status changes only
+    progress(job) {
+        const { percent } = this.bytes(job);
+        const key = `${job.detail}:${percent === null ? '' : Math.floor(percent)}`;
+        if (key === job.lastReported) return;
+        job.lastReported = key;
+        this.emit(job, 'progress');
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.finished_at = new Date().toISOString();
+        this.emit(job, TERMINAL_EVENTS[status]);
+        job.events.removeAllListeners();
+        this.prune();
+    }
+
+    emit(job, event) {
+        job.events.emit('update', event, this.snapshot(job));
+    }
+
+    /**
+     * Stops a running pull. Ollama keeps the layers it already has, so pulling again resumes.
+     * @returns {object|null} The job snapshot, or null for an unknown id
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (!FINISHED.has(job.status)) job.controller.abort();
+        return this.snapshot(job);
+    }
+
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.snapshot(job) : null;
+    }
+
+    list() {
+        return [...this.jobs.values()].map(job => this.snapshot(job));
+    }
+
+    activePull(model) {
+        return [...this.jobs.values()].find(job => job.model === model && !FINISHED.has(job.status)) || null;
+    }
+
+    /**
+     * Calls `listener(event, snapshot)` for each update of a job: 'progress', then one of
+     * 'complete' | 'error' | 'cancelled' (straight away for a finished job).
+     * Returns an unsubscribe function, or null for an unknown id.
+     */
+    subscribe(id, listener) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (FINISHED.has(job.status)) {
+            listener(TERMINAL_EVENTS[job.status], this.snapshot(job));
+            return () => {};
+        }
+        job.events.on('update', listener);
+        return () => job.events.off('update', listener);
+    }
+
+    /**
+     * Removes an installed model. Resolves false when Ollama does not have it.
+     */
+    async remove(model) {
+        return this.bridge.deleteModel(model);
+    }
+
+    snapshot(job) {
+        return {
+            id: job.id,
+            model: job.model,
+            status: job.status,
+            detail: job.detail,
+            ...this.bytes(job),
+            error: job.error,
+            started_at: job.started_at,
+            finished_at: job.finished_at
+        };
+    }
+
+    bytes(job) {
+        let total = 0;
+        let completed = 0;
+        for (const layer of job.layers.values()) {
+            total += layer.total;
+            completed += Math.min(layer.completed, layer.total);
+        }
+        const percent = job.status === 'done' ? 100 : total ? Math.round((completed / total) * 1000) / 10 : null;
+        return { completed_bytes: completed, total_bytes: total, percent };
+    }
+
+    // Oldest finished jobs go first; running ones are never dropped
+    prune() {
+        const finished = [...this.jobs.values()].filter(job => FINISHED.has(job.status));
+        for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+            this.jobs.delete(job.id);
+        }
+    }
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1000)), units.length - 1);
+    return `${(bytes / Math.pow(1000, exponent)).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+}
+
+module.exports = { ModelManager };
@@ -0,0 +1,26 @@
+// Small text helpers shared by the synthesis stages (no NLP dependencies)
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'are', 'was', 'were', 'with', 'that', 'this', 'from', 'have', 'has', 'not', 'but', 'you', 'your', 'what', 'which', 'how', 'why', 'who', 'when', 'where', 'can', 'will', 'about', 'into', 'than', 'then', 'them', 'they', 'their', 'its', 'also', 'more', 'most', 'such', 'some', 'any', 'all', 'one', 'out', 'our', 'been', 'being', 'does', 'did', 'had', 'his', 'her', 'she', 'him', 'there', 'these', 'those', 'would', 'could', 'should', 'just', 'very']);
+
+function tokenize(text) {
+    return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 2 && !STOPWORDS.has(t));
+}
+
+function overlap(terms, queryTerms) {
+    const set = new Set(terms);
+    return queryTerms.filter(t => set.has(t)).length;
+}
+
+function jaccard(a, b) {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    for (const t of a) if (b.has(t)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+function splitSentences(text) {
+    // A trailing citation ("... end. [2] Next") stays with the sentence it follows
+    return (text || '').split(/(?<=[.!?](?:\s*\[\d+\])*)\s+(?=[A-Z0-9"'])/).map(s => s.trim()).filter(Boolean);
+}
+
+module.exports = { STOPWORDS, tokenize, overlap, jaccard, splitSentences };
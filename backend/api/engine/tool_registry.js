@@ -0,0 +1,98 @@
+class ToolInputError extends Error {
+    constructor(tool, message) {
+        super(`${tool}: ${message}`);
+        this.name = 'ToolInputError';
+        this.tool = tool;
+    }
+}
+
+const TYPE_CHECKS = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    boolean: v => typeof v === 'boolean',
+    array: v => Array.isArray(v),
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v)
+};
+
+/**
+ * The plan step tools a Looper can run. Each tool declares its input schema
+ * ({ param: { type, required, default, enum } }), the type of output it produces and,
+ * for chained tools, the output type it consumes from an earlier step of the same plan.
+ * Params outside the schema are passed through untouched.
+ */
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * @param {string} name - The plan step's `tool`
+     * @param {object} definition - { description, input: schema, output: string, consumes: string,
+     *   timeout: ms (overrides the scheduler's step timeout), handler: (params, ctx) => Promise }
+     */
+    register(name, definition) {
+        if (typeof definition.handler !== 'function') {
+            throw new Error(`Tool "${name}" needs a handler`);
+        }
+        this.tools.set(name, { name, input: {}, consumes: null, ...definition });
+        return this;
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    /**
+     * Checks params against the tool's schema and fills in defaults.
+     * @throws {ToolInputError}
+     */
+    validate(name, params = {}) {
+        const tool = this.get(name);
+        if (!tool) throw new ToolInputError(name, 'unknown tool');
+
+        const resolved = { ...params };
+        for (const [key, spec] of Object.entries(tool.input)) {
+            if (resolved[key] === undefined || resolved[key] === null) {
+                if (spec.default !== undefined) resolved[key] = typeof spec.default === 'function' ? spec.default() : spec.default;
+                else if (spec.required) throw new ToolInputError(name, `missing required param "${key}"`);
+                continue;
+            }
+            if (!TYPE_CHECKS[spec.type](resolved[key])) {
+                throw new ToolInputError(name, `param "${key}" must be ${spec.type === 'array' ? 'an' : 'a'} ${spec.type}`);
+            }
+            if (spec.enum && !spec.enum.includes(resolved[key])) {
+                throw new ToolInputError(name, `param "${key}" must be one of ${spec.enum.join(', ')}`);
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * @param {object} ctx - Passed to the handler: { plan, query, signal, input (the consumed output), ... }
+     */
+    async invoke(name, params, ctx = {}) {
+        const resolved = this.validate(name, params);
+        return this.get(name).handler(resolved, ctx);
+    }
+
+    // What GET /tools lists
+    describe() {
+        return [...this.tools.values()].map(({ name, description, input, output, consumes, timeout }) => ({
+            name,
+            description: description || null,
+            input: Object.fromEntries(Object.entries(input).map(([key, spec]) => [key, {
+                ...spec,
+                ...(typeof spec.default === 'function' ? { default: spec.default() } : {})
+            }])),
+            output,
+            consumes,
+            timeout_ms: timeout || null
+        }));
+    }
+}
+
+module.exports = { ToolRegistry, ToolInputError };
@@ -1,22 +1,244 @@
 const fetch = require('node-fetch');
-// const cheerio = require('cheerio'); // Will add dependency later
+const cheerio = require('cheerio');
+
+// Elements that never carry article content
+const STRIP_TAGS = 'script, style, noscript, template, iframe, svg, canvas, form, button, input, select, nav, header, footer, aside';
+
+// class/id fragments that mark boilerplate blocks (ads, menus, cookie walls...)
+const BOILERPLATE_PATTERN = /(^|[\s_-])(ad|ads|advert|advertisement|banner|breadcrumbs?|comments?|cookie|consent|footer|menu|nav|navbar|newsletter|popup|promo|related|share|sharing|sidebar|social|sponsored|subscribe|toolbar)($|[\s_-])/i;
+
+// Never drop these on a class/id match alone (e.g. <main class="with-sidebar">)
+const PROTECTED_TAGS = new Set(['html', 'body', 'main', 'article']);
+
+const MIN_PARAGRAPH_LENGTH = 25;
 
 class ContentScraper {
-    async read(url) {
+    constructor(config = {}) {
+        this.timeout = config.timeout || 10000;
+        this.maxBytes = config.maxBytes || 2 * 1024 * 1024; // 2MB is plenty for an article
+        this.userAgent = config.userAgent || 'Mozilla/5.0 (compatible; AIBrowserDeepDiver/1.0)';
+        this.events = config.events || null;
+    }
+
+    /**
+     * Fetches a page and extracts its main content.
+     * @param {string} url - Absolute http(s) URL
+     * @param {object} options - { signal: AbortSignal }
+     * @returns {Promise<object>} { url, title, byline, published_at, headings, paragraphs, links, text, word_count }
+     */
+    async read(url, options = {}) {
         console.log(`[DEEP DIVER] Reading: ${url}`);
 
-        // Simulate reading page content
-        // In production: await fetch(url) -> cheerio.load(html) -> $('main').text()
+        try {
+            const page = await this.fetchAndExtract(url, options.signal);
+            this.emit('url_read', { url, title: page.title, word_count: page.word_count });
+            return page;
+        } catch (err) {
+            if (options.signal?.aborted) throw err;
+            this.emit('read_failed', { url, error: err.message });
+            throw err;
+        }
+    }
+
+    async fetchAndExtract(url, signal) {
+        const response = await fetch(url, {
+            signal,
+            headers: {
+                'User-Agent': this.userAgent,
+                'Accept': 'text/html,application/xhtml+xml;q=0.9,text/plain;q=0.5'
+            },
+            redirect: 'follow',
+            timeout: this.timeout,
+            size: this.maxBytes
+        });
+
+        if (!response.ok) {
+            throw new Error(`Fetch failed: ${response.status} ${response.statusText} (${url})`);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        const body = await response.text();
+
+        if (contentType.includes('text/plain')) {
+            return this.fromPlainText(body, response.url || url);
+        }
+        if (contentType && !contentType.includes('html')) {
+            throw new Error(`Unsupported content type: ${contentType} (${url})`);
+        }
+
+        return this.extract(body, response.url || url);
+    }
+
+    /**
+     * Strips boilerplate from an HTML document and returns the structured main content.
+     * @param {string} html - Raw HTML
+     * @param {string} url - Page URL, used to resolve relative links
+     */
+    extract(html, url) {
+        const $ = cheerio.load(html);
+
+        // Metadata lives in <head>, so read it before stripping anything
+        const title = this.extractTitle($);
+        const byline = this.extractByline($);
+        const publishedAt = this.extractPublishDate($);
+
+        $(STRIP_TAGS).remove();
+        $('[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"]').remove();
+        $('[class], [id]').each((_, el) => {
+            const marker = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+            if (!PROTECTED_TAGS.has(el.tagName) && BOILERPLATE_PATTERN.test(marker)) {
+                $(el).remove();
+            }
+        });
+
+        const root = this.findMainRoot($);
+
+        const headings = [];
+        root.find('h1, h2, h3, h4, h5, h6').each((_, el) => {
+            const text = this.clean($(el).text());
+            if (text) headings.push({ level: Number(el.tagName[1]), text });
+        });
+
+        const seen = new Set();
+        const paragraphs = [];
+        root.find('p, blockquote, li').each((_, el) => {
+            // Skip list items / quotes that only wrap paragraphs we already collect
+            if (el.tagName !== 'p' && $(el).find('p').length > 0) return;
+            const text = this.clean($(el).text());
+            if (text.length < MIN_PARAGRAPH_LENGTH || seen.has(text)) return;
+            seen.add(text);
+            paragraphs.push(text);
+        });
+
+        const links = this.extractLinks($, root, url);
+        const text = paragraphs.join('\n\n');
+
+        return {
+            url,
+            title,
+            byline,
+            published_at: publishedAt,
+            headings,
+            paragraphs,
+            links,
+            text,
+            word_count: this.countWords(text)
+        };
+    }
+
+    emit(type, payload) {
+        if (this.events) this.events.emit(type, payload);
+    }
 
-        await new Promise(r => setTimeout(r, 800)); // Network delay
+    fromPlainText(body, url) {
+        const paragraphs = body.split(/\n\s*\n/).map(p => this.clean(p)).filter(p => p.length >= MIN_PARAGRAPH_LENGTH);
+        const text = paragraphs.join('\n\n');
+        return {
+            url,
+            title: null,
+            byline: null,
+            published_at: null,
+            headings: [],
+            paragraphs,
+            links: [],
+            text,
+            word_count: this.countWords(text)
+        };
+    }
+
+    extractTitle($) {
+        return this.clean(
+            $('meta[property="og:title"]').attr('content') ||
+            $('article h1').first().text() ||
+            $('h1').first().text() ||
+            $('title').first().text()
+        ) || null;
+    }
+
+    extractByline($) {
+        const candidates = [
+            $('meta[name="author"]').attr('content'),
+            $('meta[property="article:author"]').attr('content'),
+            $('[itemprop="author"]').first().text(),
+            $('[rel="author"]').first().text(),
+            $('.byline, .author').first().text()
+        ];
+        const byline = candidates.map(c => this.clean(c || '')).find(Boolean);
+        return byline ? byline.replace(/^by\s+/i, '') : null;
+    }
+
+    extractPublishDate($) {
+        const raw = $('meta[property="article:published_time"]').attr('content') ||
+            $('meta[name="date"], meta[name="pubdate"], meta[name="publish-date"]').attr('content') ||
+            $('[itemprop="datePublished"]').attr('content') ||
+            $('[itemprop="datePublished"]').attr('datetime') ||
+            $('time[datetime]').first().attr('datetime');
+
+        if (!raw) return null;
+        const date = new Date(raw);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Picks the element most likely to hold the article body.
+     * Semantic containers win; otherwise the block with the most paragraph text.
+     */
+    findMainRoot($) {
+        for (const selector of ['article', 'main', '[role="main"]', '[itemprop="articleBody"]']) {
+            const el = $(selector).first();
+            if (el.length && this.clean(el.text()).length > 200) return el;
+        }
+
+        let best = null;
+        let bestScore = 0;
+        $('div, section').each((_, el) => {
+            let score = 0;
+            $(el).children('p').each((__, p) => {
+                score += this.clean($(p).text()).length;
+            });
+            if (score > bestScore) {
+                best = el;
+                bestScore = score;
+            }
+        });
+
+        return best ? $(best) : $('body');
+    }
+
+    extractLinks($, root, pageUrl) {
+        let pageHost = null;
+        try {
+            pageHost = new URL(pageUrl).hostname;
+        } catch {
+            // Unparseable page URL: treat every absolute link as outbound
+        }
+
+        const links = [];
+        const seen = new Set();
+        root.find('a[href]').each((_, el) => {
+            let href;
+            try {
+                href = new URL($(el).attr('href'), pageUrl);
+            } catch {
+                return;
+            }
+            if (!['http:', 'https:'].includes(href.protocol) || href.hostname === pageHost) return;
+
+            href.hash = '';
+            const target = href.toString();
+            if (seen.has(target)) return;
+            seen.add(target);
+            links.push({ url: target, text: this.clean($(el).text()) });
+        });
+        return links;
+    }
+
+    clean(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
 
-        return `
-      [Content from ${url}]
-      This is the extracted main content from the web page. 
-      It contains detailed paragraphs, statistics, and claims that the Context Engine will ingest.
-      Privacy Shield: This request was routed through Anonymizer Proxy.
-      (Simulated Read)
-    `;
+    countWords(text) {
+        return text ? text.split(/\s+/).filter(Boolean).length : 0;
     }
 }
 
@@ -0,0 +1,61 @@
+const fetch = require('node-fetch');
+const cheerio = require('cheerio');
+
+// DuckDuckGo's `kp` parameter: 1 = strict, -1 = moderate, -2 = off
+const SAFE_SEARCH_PARAM = { strict: '1', moderate: '-1', off: '-2' };
+
+class DuckDuckGoLiteProvider {
+    constructor(config = {}) {
+        this.name = 'duckduckgo-lite';
+        this.siteOperators = true; // Understands `site:` in the query
+        this.endpoint = config.endpoint || 'https://lite.duckduckgo.com/lite/';
+        this.timeout = config.timeout || 8000;
+    }
+
+    /**
+     * Scrapes the JavaScript-free "lite" result page.
+     * @returns {Promise<Array<{title: string, url: string, snippet: string}>>}
+     */
+    async search(query, options = {}) {
+        const params = new URLSearchParams({ q: query, kp: SAFE_SEARCH_PARAM[options.safe_search] || SAFE_SEARCH_PARAM.moderate });
+        if (options.region) params.set('kl', options.region);
+
+        const response = await fetch(`${this.endpoint}?${params}`, {
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; AIBrowserScout/1.0)' },
+            timeout: this.timeout,
+            signal: options.signal
+        });
+        if (!response.ok) {
+            throw new Error(`DuckDuckGo error: ${response.status} ${response.statusText}`);
+        }
+
+        return this.parse(await response.text());
+    }
+
+    parse(html) {
+        const $ = cheerio.load(html);
+        const snippets = $('td.result-snippet').map((_, el) => $(el).text().replace(/\s+/g, ' ').trim()).get();
+
+        return $('a.result-link').map((i, el) => ({
+            title: $(el).text().trim(),
+            url: this.unwrapRedirect($(el).attr('href')),
+            snippet: snippets[i] || ''
+        })).get().filter(r => r.url);
+    }
+
+    // Result links go through //duckduckgo.com/l/?uddg=<target>
+    unwrapRedirect(href) {
+        if (!href) return null;
+        try {
+            const url = new URL(href, 'https://duckduckgo.com');
+            if (url.hostname.endsWith('duckduckgo.com') && url.searchParams.has('uddg')) {
+                return url.searchParams.get('uddg');
+            }
+            return url.toString();
+        } catch {
+            return null;
+        }
+    }
+}
+
+module.exports = { DuckDuckGoLiteProvider };
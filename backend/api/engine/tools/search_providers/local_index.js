@@ -0,0 +1,60 @@
+const fs = require('fs').promises;
+
+/**
+ * Searches a JSON file of documents: [{ title, url, content | snippet }].
+ * Useful offline and as a deterministic last resort. `safe_search` is not applied here;
+ * the index is the deployment's own, and its hits still go through SafetyPolicy's filters.
+ */
+class LocalIndexProvider {
+    constructor(config = {}) {
+        this.name = 'local-index';
+        this.path = config.path || process.env.LOCAL_INDEX_PATH || null;
+        this.cache = { mtimeMs: 0, docs: [] };
+    }
+
+    async search(query, options = {}) {
+        if (!this.path) {
+            throw new Error('Local index path not configured (set LOCAL_INDEX_PATH)');
+        }
+
+        const docs = await this.load();
+        const terms = this.tokenize(query);
+        if (terms.length === 0) return [];
+
+        return docs
+            .map(doc => ({ doc, score: this.score(doc, terms) }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(({ doc }) => ({
+                title: doc.title || doc.url,
+                url: doc.url,
+                snippet: doc.snippet || (doc.content || '').substring(0, 240)
+            }));
+    }
+
+    async load() {
+        const stat = await fs.stat(this.path);
+        if (stat.mtimeMs !== this.cache.mtimeMs) {
+            const raw = JSON.parse(await fs.readFile(this.path, 'utf8'));
+            this.cache = {
+                mtimeMs: stat.mtimeMs,
+                docs: (Array.isArray(raw) ? raw : raw.documents || []).filter(doc => doc && doc.url)
+            };
+        }
+        return this.cache.docs;
+    }
+
+    score(doc, terms) {
+        const title = this.tokenize(doc.title);
+        const body = this.tokenize(`${doc.snippet || ''} ${doc.content || ''}`);
+        // Title hits count triple
+        return terms.reduce((sum, term) =>
+            sum + title.filter(t => t === term).length * 3 + body.filter(t => t === term).length, 0);
+    }
+
+    tokenize(text) {
+        return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 1);
+    }
+}
+
+module.exports = { LocalIndexProvider };
@@ -0,0 +1,48 @@
+const fetch = require('node-fetch');
+
+// SearXNG's `safesearch` parameter: 0 = off, 1 = moderate, 2 = strict
+const SAFE_SEARCH_PARAM = { off: '0', moderate: '1', strict: '2' };
+
+class SearxngProvider {
+    constructor(config = {}) {
+        this.name = 'searxng';
+        this.siteOperators = true; // Understands `site:` in the query
+        this.endpoint = config.endpoint || process.env.SEARXNG_URL || null;
+        this.timeout = config.timeout || 8000;
+    }
+
+    /**
+     * Queries a SearXNG instance through its JSON API (`format=json` must be enabled on the instance).
+     */
+    async search(query, options = {}) {
+        if (!this.endpoint) {
+            throw new Error('SearXNG endpoint not configured (set SEARXNG_URL)');
+        }
+
+        const params = new URLSearchParams({
+            q: query,
+            format: 'json',
+            safesearch: SAFE_SEARCH_PARAM[options.safe_search] || SAFE_SEARCH_PARAM.moderate
+        });
+        if (options.language) params.set('language', options.language);
+        if (options.categories) params.set('categories', [].concat(options.categories).join(','));
+
+        const response = await fetch(`${this.endpoint.replace(/\/$/, '')}/search?${params}`, {
+            headers: { 'Accept': 'application/json' },
+            timeout: this.timeout,
+            signal: options.signal
+        });
+        if (!response.ok) {
+            throw new Error(`SearXNG error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        return (data.results || []).map(r => ({
+            title: r.title,
+            url: r.url,
+            snippet: r.content || ''
+        }));
+    }
+}
+
+module.exports = { SearxngProvider };
@@ -0,0 +1,35 @@
+const { tavily } = require('@tavily/core');
+
+// Tavily has no safe-search parameter: its hits and pages go through SafetyPolicy's filters only
+class TavilyProvider {
+    constructor(config = {}) {
+        this.name = 'tavily';
+        this.apiKey = config.apiKey || process.env.TAVILY_API_KEY || null;
+        this.client = null;
+    }
+
+    async search(query, options = {}) {
+        if (!this.apiKey) {
+            throw new Error('Tavily API key not configured (set TAVILY_API_KEY)');
+        }
+        if (!this.client) {
+            this.client = tavily({ apiKey: this.apiKey });
+        }
+
+        const response = await this.client.search(query, {
+            maxResults: options.limit,
+            searchDepth: options.depth === 'deep' || options.depth === 'recursive' ? 'advanced' : 'basic',
+            includeDomains: options.include_domains,
+            excludeDomains: options.exclude_domains
+        });
+
+        return (response.results || []).map(r => ({
+            title: r.title,
+            url: r.url,
+            snippet: r.content || '',
+            published_at: r.publishedDate || null
+        }));
+    }
+}
+
+module.exports = { TavilyProvider };
@@ -1,52 +1,132 @@
-const fetch = require('node-fetch');
+const { DuckDuckGoLiteProvider } = require('./search_providers/duckduckgo_lite');
+const { SearxngProvider } = require('./search_providers/searxng');
+const { TavilyProvider } = require('./search_providers/tavily');
+const { LocalIndexProvider } = require('./search_providers/local_index');
 
+const PROVIDERS = {
+    'duckduckgo-lite': DuckDuckGoLiteProvider,
+    'searxng': SearxngProvider,
+    'tavily': TavilyProvider,
+    'local-index': LocalIndexProvider
+};
+
+const DEFAULT_FALLBACK_ORDER = ['duckduckgo-lite', 'searxng', 'tavily', 'local-index'];
+
+/**
+ * Dispatches queries to search provider adapters.
+ * An adapter is any object with a `name` and `async search(query, options)`
+ * resolving to [{ title, url, snippet }]; results are normalized here.
+ */
 class WebSearcher {
     constructor(config = {}) {
         this.engine = config.engine || 'duckduckgo-lite'; // Default to something free/scrapable if possible, or use custom index
+        this.fallbackOrder = config.fallback || DEFAULT_FALLBACK_ORDER;
+        this.limit = config.limit || 10;
+        this.events = config.events || null;
+
+        this.providers = new Map();
+        for (const [name, Provider] of Object.entries(PROVIDERS)) {
+            this.registerProvider(new Provider((config.providers || {})[name]));
+        }
+    }
+
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
     }
 
+    /**
+     * @param {string} query
+     * @param {object} options - { provider: string | string[], limit: number, safe_search, signal: AbortSignal,
+     *   include_domains: string[], price_max: number, ... }
+     * @returns {Promise<Array<{title, url, snippet, rank, provider}>>}
+     */
     async search(query, options = {}) {
-        console.log(`[SCOUT] Searching for: "${query}" (SafeSearch: OFF)`);
-
-        // Explicitly disabling safe search for "Unrestricted Mode"
-        // In production, this params would be: { safe: 'off', moderate: false }
-
-        await new Promise(r => setTimeout(r, 500)); // Network delay simulation
-
-        // Mock results reflecting "adult accepting" nature AND "confused alternatives"
-        return [
-            {
-                title: `Unrestricted Results for ${query}`,
-                url: `https://example.com/search?q=${encodeURIComponent(query)}`,
-                snippet: `Raw, unfiltered results for ${query}. Accessing deep web indices...`
-            },
-            {
-                title: `Community Discussion: ${query}`,
-                url: `https://forum.adult-focus.net/t/${encodeURIComponent(query)}`,
-                snippet: `User discussions and uncensored content regarding ${query}...`
-            },
-            {
-                title: `Video Archives: ${query}`,
-                url: `https://tube-site.com/v/${encodeURIComponent(query)}`,
-                snippet: `High-resolution video content found for ${query}. Duration: 12:05.`
-            },
-            // --- "Confused Alternatives" / Divergent Points for Looper to find ---
-            {
-                title: `Contradicting View: Why ${query} is misunderstood`,
-                url: `https://contrarian-blog.com/posts/${encodeURIComponent(query)}`,
-                snippet: `Everyone thinks X, but actually Y. Here is the alternative perspective...`
-            },
-            {
-                title: `Technical Deep Dive: The physics of ${query}`,
-                url: `https://science.org/abstract/${encodeURIComponent(query)}`,
-                snippet: `Mathematical proof suggesting the standard model of ${query} is incomplete.`
-            },
-            {
-                title: `Legacy/Historical Data for ${query}`,
-                url: `https://archive.org/wayback/${encodeURIComponent(query)}`,
-                snippet: `In 1999, the consensus on ${query} was vastly different...`
+        const chain = this.resolveChain(options.provider);
+        const limit = options.limit || this.limit;
+        const errors = [];
+
+        for (const name of chain) {
+            options.signal?.throwIfAborted();
+            const provider = this.providers.get(name);
+            console.log(`[SCOUT] Searching for: "${query}" via ${name}`);
+            this.emit('query_issued', { query, provider: name });
+
+            try {
+                const raw = await provider.search(this.scopeQuery(query, options, provider), { ...options, limit });
+                options.signal?.throwIfAborted(); // Adapters without signal support still stop here
+                const results = this.normalize(raw, name)
+                    .filter(r => this.withinConstraints(r, options))
+                    .slice(0, limit);
+                if (results.length > 0) {
+                    this.emit('results_received', { query, provider: name, count: results.length });
+                    return results;
+                }
+                errors.push(`${name}: no results`);
+                this.emit('provider_failed', { query, provider: name, error: 'no results' });
+            } catch (err) {
+                if (options.signal?.aborted) throw err;
+                console.warn(`[SCOUT] Provider ${name} failed: ${err.message}`);
+                errors.push(`${name}: ${err.message}`);
+                this.emit('provider_failed', { query, provider: name, error: err.message });
             }
-        ];
+        }
+
+        console.warn(`[SCOUT] All providers exhausted for "${query}" (${errors.join('; ')})`);
+        return [];
+    }
+
+    emit(type, payload) {
+        if (this.events) this.events.emit(type, payload);
+    }
+
+    /**
+     * Requested provider(s) first, then the remaining fallback order.
+     */
+    resolveChain(requested) {
+        const preferred = requested ? [].concat(requested) : [this.engine];
+        const chain = [...preferred, ...this.fallbackOrder].filter(name => this.providers.has(name));
+        return [...new Set(chain)];
+    }
+
+    /**
+     * Domain restrictions become `site:` operators for engines that understand them;
+     * every provider's results are still filtered afterwards.
+     */
+    scopeQuery(query, options, provider) {
+        const domains = options.include_domains || [];
+        if (!domains.length || !provider.siteOperators) return query;
+        const sites = domains.map(d => `site:${d}`);
+        return `${query} ${sites.length === 1 ? sites[0] : `(${sites.join(' OR ')})`}`;
+    }
+
+    withinConstraints(result, options) {
+        if (options.include_domains && options.include_domains.length) {
+            const host = new URL(result.url).hostname.replace(/^www\./, '');
+            if (!options.include_domains.some(d => host === d || host.endsWith(`.${d}`))) return false;
+        }
+
+        // Only drop results whose every quoted price is over budget; no price means unknown, keep it
+        if (options.price_max) {
+            const prices = [...`${result.title} ${result.snippet}`.matchAll(/\$\s?(\d[\d,]*(?:\.\d+)?)/g)]
+                .map(m => Number(m[1].replace(/,/g, '')));
+            if (prices.length && Math.min(...prices) > options.price_max) return false;
+        }
+        return true;
+    }
+
+    normalize(raw, providerName) {
+        const seen = new Set();
+        return (raw || [])
+            .filter(r => r && typeof r.url === 'string' && /^https?:\/\//.test(r.url))
+            .filter(r => !seen.has(r.url) && seen.add(r.url))
+            .map((r, i) => ({
+                title: (r.title || r.url).trim(),
+                url: r.url,
+                snippet: (r.snippet || '').trim(),
+                rank: i + 1,
+                provider: providerName,
+                ...(r.published_at ? { published_at: r.published_at } : {})
+            }));
     }
 }
 
@@ -1,9 +1,14 @@
 // Vercel Serverless Function for AI Browser Backend
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 
 const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json({ limit: '1mb' }));
+
 const { ContextSnapshotter, ContextGraph } = require('./context_engine');
 const { tavily } = require('@tavily/core');
 
@@ -11,9 +16,11 @@ const { tavily } = require('@tavily/core');
 // --- System & Studio Integration ---
 const { LocalBridge } = require('./engine/studio/local_bridge');
 const { SystemUpdater } = require('./engine/system/updater');
+const { ModelManager } = require('./engine/system/model_manager');
 
 const localBridge = new LocalBridge();
 const systemUpdater = new SystemUpdater();
+const modelManager = new ModelManager({ bridge: localBridge });
 
 // ... existing code ...
 
@@ -32,9 +39,10 @@ app.post('/system/update', async (req, res) => {
     }
 
     if (action === 'download_model') {
+      // Starts a background pull; follow it on GET /models/pull/:id/events
       const { model_name } = req.body;
-      const result = await localBridge.downloadModel(model_name || 'llama3');
-      return res.json(result);
+      const job = modelManager.pull(model_name || 'llama3');
+      return res.status(202).json({ status: 'started', job });
     }
 
     res.status(400).json({ error: 'Invalid action' });
@@ -43,73 +51,216 @@ app.post('/system/update', async (req, res) => {
   }
 });
 // --- New Recursive Engine Integration ---
-const { Looper } = require('./engine/looper');
+const { Looper, ENGINE_EVENTS } = require('./engine/looper');
 const { Navigator } = require('./engine/navigator');
-const { ContextGraph } = require('./context_engine');
+const { SessionStore } = require('./session_store');
+const { SafetyPolicy, SAFETY_LEVELS } = require('./engine/safety_policy');
+const { Conversation } = require('./engine/conversation');
 
 // Shared In-Memory Context (Privacy Shield: RAM only, no DB)
 // In a real serverless env, this would be a Redis cache with low TTL
-const privacyContext = new Map();
+const sessions = new SessionStore();
+
+// Deployment-wide content safety (SAFETY_LEVEL, SAFETY_LOCKED); users may only tighten a locked policy
+const safetyPolicy = new SafetyPolicy();
+
+// Follow-up chat over a session's last search answer (history lives in the session graph)
+const conversation = new Conversation();
 
 // --- Streaming Search Endpoint (SSE) ---
 app.post('/search', async (req, res) => {
+  // Aborted when the client disconnects mid-search (e.g. the user navigates away)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  let stream = null;
+  let session = null;
   try {
-    const { query, session_id } = req.body;
+    const { query, session_id, intents = [], safe_search } = req.body;
     if (!query) return res.status(400).json({ error: 'Missing query' });
+    if (!Array.isArray(intents)) return res.status(400).json({ error: 'intents must be an array' });
+    if (safe_search && !SafetyPolicy.isLevel(safe_search)) {
+      return res.status(400).json({ error: `safe_search must be one of: ${SAFETY_LEVELS.join(', ')}` });
+    }
+    const safety = safetyPolicy.resolve(safe_search);
 
-    console.log(`[API] New Streaming Request: ${query}`);
-
-    // Set headers for SSE (Server-Sent Events) interaction simulation
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Transfer-Encoding', 'chunked');
-
-    // Instantiate the Recursive Engine
-    const looper = new Looper();
+    // Follow-up searches in a session build on the same graph; deleting the session stops the search
+    if (session_id) session = sessions.open(String(session_id), { controller });
 
-    // Stream Progress
-    res.write(JSON.stringify({ type: 'progress', step: 'Coordinator: Planning Massive Search...' }) + '\n');
-    await new Promise(r => setTimeout(r, 600));
+    console.log(`[API] New Streaming Request: ${query}`);
+    const startedAt = Date.now();
 
-    res.write(JSON.stringify({ type: 'progress', step: 'Scout: Hitting 50+ Data Points...' }) + '\n');
-    await new Promise(r => setTimeout(r, 800));
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
 
-    res.write(JSON.stringify({ type: 'progress', step: 'Deep Diver: Analyzing Video & Text...' }) + '\n');
-    await new Promise(r => setTimeout(r, 600));
+    stream = createEventStream(res);
 
-    res.write(JSON.stringify({ type: 'progress', step: 'Privacy Shield: Anonymizing & Caching...' }) + '\n');
+    // Instantiate the Recursive Engine and forward its live events
+    const looper = new Looper({ safetyPolicy });
+    ENGINE_EVENTS.forEach(type => looper.on(type, payload => stream.send(type, payload)));
 
-    // Start the actual logic
     const result = await looper.start(query, {
       depth: query.length > 20 ? 'deep' : 'fast',
-      privacy: true
+      privacy: true,
+      signal: controller.signal,
+      context: session ? session.graph : undefined,
+      release: session ? session.release : undefined,
+      intents,
+      safety
     });
 
-    // Send final result
-    res.write(JSON.stringify({
-      type: 'complete', data: {
-        ...result,
-        metadata: {
-          engine: 'Project Omniscience v1',
-          privacy_shield: 'active',
-          latency_ms: 2200
-        }
+    stream.send('complete', {
+      ...result,
+      metadata: {
+        engine: 'Project Omniscience v1',
+        privacy_shield: 'active',
+        latency_ms: Date.now() - startedAt,
+        intents,
+        safety: { level: safety.level, source: safety.source, locked: safety.locked, overridden: safety.overridden },
+        session: session ? { id: session.id, created: session.created, ttl_ms: sessions.ttl } : null
       }
-    }) + '\n');
-
+    });
     res.end();
 
   } catch (error) {
+    if (controller.signal.reason?.code === 'session_evicted') {
+      console.log(`[API] Session deleted, search cancelled: ${req.body.query}`);
+      stream.send('error', { message: 'Session deleted' });
+      return res.end();
+    }
+    if (controller.signal.aborted) {
+      console.log(`[API] Client disconnected, search cancelled: ${req.body.query}`);
+      return;
+    }
     console.error('Engine error:', error);
-    res.write(JSON.stringify({ type: 'error', message: 'Synthesis failed' }) + '\n');
+    if (!stream) return res.status(500).json({ error: 'Synthesis failed' });
+    stream.send('error', { message: 'Synthesis failed' });
     res.end();
+  } finally {
+    if (session) session.release();
+  }
+});
+
+// Page snapshots from the extension's sensor layer (collectPageContext)
+app.post('/context', (req, res) => {
+  const { sensor_data, metadata = {}, session_id } = req.body;
+  if (!sensor_data || typeof sensor_data.viewport_text !== 'string') {
+    return res.status(400).json({ error: 'Missing sensor_data.viewport_text' });
+  }
+
+  const session = sessions.open(session_id ? String(session_id) : crypto.randomUUID());
+  try {
+    const snapshot = ContextSnapshotter.createSnapshot(sensor_data, metadata);
+    session.graph.processSnapshot(snapshot);
+    session.graph.logInteraction('SNAPSHOT', { id: snapshot.id, media: snapshot.media_state.length });
+
+    const overlay = session.graph.overlayGraph(snapshot.id);
+    res.json({
+      session_id: session.id,
+      snapshot: { id: snapshot.id, timestamp: snapshot.timestamp, ttl: snapshot.ttl },
+      ...overlay,
+      summary: overlay.claims.length ? overlay.claims[0].text : null
+    });
+  } catch (err) {
+    console.error('Context error:', err);
+    res.status(500).json({ error: 'Context processing failed' });
+  } finally {
+    session.release();
+  }
+});
+
+// Follow-up question on the session's conversation; `stream: true` answers as SSE
+app.post('/chat', async (req, res) => {
+  const { session_id, message, stream: streaming = false } = req.body;
+  if (typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({ error: 'Missing message' });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const session = sessions.open(session_id ? String(session_id) : crypto.randomUUID());
+  let stream = null;
+  try {
+    if (streaming) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      stream = createEventStream(res);
+    }
+
+    const reply = await conversation.reply(session.graph, message.trim(), {
+      signal: controller.signal,
+      onToken: stream ? token => stream.send('answer_delta', { source: 'chat', token }) : undefined
+    });
+
+    const body = { session_id: session.id, ...reply };
+    if (stream) {
+      stream.send('complete', body);
+      res.end();
+    } else {
+      res.json(body);
+    }
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.log('[API] Client disconnected, chat reply cancelled');
+      return;
+    }
+    console.error('Chat error:', err.message);
+    const code = err.code || 'model_error'; // LocalModelError: model_missing, bridge_offline, timeout, model_error
+    if (!stream) return res.status(code === 'timeout' ? 504 : 503).json({ error: 'Local model unavailable', code, detail: err.message });
+    stream.send('error', { message: 'Local model unavailable', code });
+    res.end();
+  } finally {
+    session.release();
+  }
+});
+
+// The deployment's safety policy, so clients can show (and not offer to loosen) a locked level
+app.get('/safety', (req, res) => {
+  res.json(safetyPolicy.describe());
+});
+
+// Plan step tools the engine can run, with their input schemas and output types (the same for every Looper)
+let toolCatalog = null;
+app.get('/tools', (req, res) => {
+  toolCatalog = toolCatalog || new Looper().tools.describe();
+  res.json({ tools: toolCatalog });
+});
+
+// Drops everything the session gathered, right now
+app.delete('/session/:id', (req, res) => {
+  if (!sessions.delete(req.params.id)) {
+    return res.status(404).json({ error: 'Session not found' });
   }
+  res.status(204).end();
+});
+
+// Session count and memory usage (no session ids); only with `Authorization: Bearer $ADMIN_TOKEN`
+app.get('/sessions', (req, res) => {
+  if (!process.env.ADMIN_TOKEN) return res.status(404).json({ error: 'Endpoint not found' });
+  if (!isAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  res.json({ ...sessions.stats(), timestamp: new Date().toISOString() });
 });
 
 app.post('/suggest', async (req, res) => {
   try {
-    const { partial_query } = req.body;
-    const navigator = new Navigator(new ContextGraph()); // Fresh context for suggestions
-    const suggestions = await navigator.suggest(partial_query);
+    const { partial_query, session_id, last_entity } = req.body;
+    // The session's graph when there is one; a fresh (empty) context otherwise
+    const graph = (session_id && sessions.get(String(session_id))) || new ContextGraph();
+    const navigator = new Navigator(graph);
+    const suggestions = await navigator.suggest(partial_query, { lastEntity: last_entity });
     res.json(suggestions);
   } catch (err) {
     res.json({ bubbles: [] });
@@ -134,25 +285,62 @@ app.post('/aggregate', async (req, res) => {
   }
 });
 
-// Models status
-app.get('/models', (req, res) => {
-  res.json({
-    models: {
-      'gpt-4': { status: 'available', type: 'external-api' },
-      'claude-3': { status: 'available', type: 'external-api' },
-      'gemini-pro': { status: 'available', type: 'external-api' },
-      'llama-2': { status: 'available', type: 'external-api' },
-      'object-detection': { status: 'mock', type: 'simulated' },
-      'text-analysis': { status: 'mock', type: 'simulated' }
-    },
-    capabilities: [
-      'parallel-processing',
-      'privacy-filtering',
-      'content-curation',
-      'real-time-analysis'
-    ],
-    timestamp: new Date().toISOString()
-  });
+// Models installed in the local bridge (Ollama), plus the pulls in flight
+app.get('/models', async (req, res) => {
+  const pulls = modelManager.list();
+  try {
+    const models = await modelManager.catalog();
+    res.json({ bridge: 'online', models, pulls, timestamp: new Date().toISOString() });
+  } catch (err) {
+    res.status(503).json({ bridge: 'offline', error: 'Local model bridge unreachable', detail: err.message, models: [], pulls });
+  }
+});
+
+// Starts pulling a model; `stream: true` follows its progress as SSE (closing the stream does not cancel the pull)
+app.post('/models/pull', (req, res) => {
+  const { model, stream: streaming = false } = req.body;
+  if (typeof model !== 'string' || !model.trim()) {
+    return res.status(400).json({ error: 'Missing model' });
+  }
+
+  const job = modelManager.pull(model.trim());
+  if (streaming) return streamPull(job, res);
+  res.status(202).json(job);
+});
+
+app.get('/models/pull/:id', (req, res) => {
+  const job = modelManager.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Pull not found' });
+  res.json(job);
+});
+
+app.get('/models/pull/:id/events', (req, res) => {
+  const job = modelManager.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Pull not found' });
+  streamPull(job, res);
+});
+
+// Cancels a running pull
+app.delete('/models/pull/:id', (req, res) => {
+  const job = modelManager.cancel(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Pull not found' });
+  res.json(job);
+});
+
+// Removes an installed model (URL-encode names like "library/llama3:8b")
+app.delete('/models/:name', async (req, res) => {
+  const name = req.params.name;
+  if (modelManager.activePull(name)) {
+    return res.status(409).json({ error: 'Model is being pulled; cancel the pull first' });
+  }
+  try {
+    if (!(await modelManager.remove(name))) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    res.status(503).json({ error: 'Local model bridge unreachable', detail: err.message });
+  }
 });
 
 // 404 handler
@@ -163,8 +351,19 @@ app.use((req, res) => {
       'GET /health',
       'POST /analyze',
       'POST /search',
+      'POST /context',
+      'POST /chat',
+      'GET /safety',
+      'GET /tools',
+      'DELETE /session/:id',
+      'GET /sessions (admin)',
       'POST /aggregate',
-      'GET /models'
+      'GET /models',
+      'POST /models/pull',
+      'GET /models/pull/:id',
+      'GET /models/pull/:id/events',
+      'DELETE /models/pull/:id',
+      'DELETE /models/:name'
     ]
   });
 });
@@ -179,6 +378,50 @@ app.use((err, req, res, next) => {
 });
 
 // Helper functions
+
+/**
+ * Bearer token check against ADMIN_TOKEN (constant time).
+ */
+function isAdmin(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(process.env.ADMIN_TOKEN));
+}
+
+/**
+ * Writes Server-Sent Events frames with monotonically increasing ids.
+ */
+function createEventStream(res) {
+  let lastId = 0;
+  return {
+    send(event, data) {
+      lastId++;
+      res.write(`id: ${lastId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+}
+
+/**
+ * Sends a pull job's progress as SSE until it completes, fails or is cancelled.
+ */
+function streamPull(job, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const stream = createEventStream(res);
+  stream.send('progress', job);
+
+  const unsubscribe = modelManager.subscribe(job.id, (event, snapshot) => {
+    stream.send(event, snapshot);
+    if (event !== 'progress') res.end();
+  });
+  res.on('close', unsubscribe);
+}
+
 function generateMockAnalysis(type, data, privacyLevel) {
   const baseAnalysis = {
     type,
@@ -0,0 +1,182 @@
+const { ContextGraph, SNAPSHOT_TTL_MS } = require('./context_engine');
+
+const DEFAULT_MAX_SESSIONS = 100;
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+const SWEEP_INTERVAL_MS = 30000;
+
+/**
+ * Per-session ContextGraphs (Privacy Shield: RAM only, no DB).
+ * A session lives until it sits idle past its ttl, is pushed out as least recently
+ * used when the store exceeds its session / memory budget, or is deleted explicitly.
+ * Every way out goes through `evict`, which wipes the graph before dropping it.
+ */
+// Abort reason for work still running on a session when it is evicted
+function sessionGone(reason) {
+    const err = new Error(`Session ${reason}`);
+    err.name = 'AbortError';
+    err.code = 'session_evicted';
+    return err;
+}
+
+class SessionStore {
+    constructor(config = {}) {
+        this.ttl = config.ttl || Number(process.env.SESSION_TTL_MS) || SNAPSHOT_TTL_MS;
+        this.maxSessions = config.maxSessions || Number(process.env.SESSION_MAX) || DEFAULT_MAX_SESSIONS;
+        this.maxBytes = config.maxBytes || Number(process.env.SESSION_MAX_BYTES) || DEFAULT_MAX_BYTES;
+        this.createGraph = config.createGraph || (() => new ContextGraph());
+
+        this.sessions = new Map(); // id -> entry, least recently used first
+        this.evictions = { ttl: 0, lru: 0, deleted: 0 };
+
+        const interval = config.sweepInterval === undefined ? SWEEP_INTERVAL_MS : config.sweepInterval;
+        if (interval > 0) {
+            this.timer = setInterval(() => this.sweep(), interval);
+            this.timer.unref(); // Never keep the process alive just to sweep
+        }
+    }
+
+    /**
+     * Leases the session's graph, creating it if needed. A leased session is never
+     * evicted for ttl or memory pressure; call `release()` when the request finishes.
+     * Work started with `controller` is aborted if the session is deleted under it.
+     * @param {string} id
+     * @param {{ controller?: AbortController }} [options]
+     * @returns {{ id: string, graph: ContextGraph, created: boolean, expiresAt: number, release: Function }}
+     */
+    open(id, { controller } = {}) {
+        this.sweep();
+
+        let entry = this.touch(id);
+        const created = !entry;
+        if (created) {
+            entry = { id, graph: this.createGraph(), createdAt: Date.now(), lastAccess: Date.now(), leases: 0, controllers: new Set() };
+            this.sessions.set(id, entry);
+            console.log(`[SESSIONS] Created session (${this.sessions.size} active)`);
+        }
+        entry.leases++;
+        if (controller) entry.controllers.add(controller);
+        this.enforceLimits();
+
+        let released = false;
+        return {
+            id,
+            graph: entry.graph,
+            created,
+            expiresAt: entry.lastAccess + this.ttl,
+            release: () => {
+                if (released) return;
+                released = true;
+                if (controller) entry.controllers.delete(controller);
+                entry.leases = Math.max(0, entry.leases - 1);
+                entry.lastAccess = Date.now();
+                this.enforceLimits();
+            }
+        };
+    }
+
+    /**
+     * The session's graph if it is still alive, without creating one.
+     */
+    get(id) {
+        this.sweep();
+        const entry = this.touch(id);
+        return entry ? entry.graph : null;
+    }
+
+    has(id) {
+        return this.sessions.has(id);
+    }
+
+    delete(id) {
+        return this.evict(id, 'deleted');
+    }
+
+    /**
+     * Evicts idle sessions past their ttl and expires stale page snapshots.
+     * @returns {number} sessions evicted
+     */
+    sweep(now = Date.now()) {
+        let evicted = 0;
+        for (const entry of [...this.sessions.values()]) {
+            if (entry.leases === 0 && entry.lastAccess + this.ttl <= now) {
+                if (this.evict(entry.id, 'ttl')) evicted++;
+            } else {
+                entry.graph.expireSnapshot(now);
+            }
+        }
+        return evicted;
+    }
+
+    /**
+     * Least recently used idle sessions go first until both budgets hold.
+     */
+    enforceLimits() {
+        for (const entry of [...this.sessions.values()]) {
+            if (this.sessions.size <= this.maxSessions && this.memoryUsage() <= this.maxBytes) return;
+            if (entry.leases === 0) this.evict(entry.id, 'lru');
+        }
+    }
+
+    evict(id, reason) {
+        const entry = this.sessions.get(id);
+        if (!entry) return false;
+
+        entry.controllers.forEach(controller => controller.abort(sessionGone(reason)));
+        entry.controllers.clear();
+        entry.graph.release();
+        this.sessions.delete(id);
+        this.evictions[reason]++;
+        console.log(`[SESSIONS] Evicted session (${reason}, ${this.sessions.size} active)`);
+        return true;
+    }
+
+    // Moves the entry to the most recently used end
+    touch(id) {
+        const entry = this.sessions.get(id);
+        if (!entry) return null;
+        entry.lastAccess = Date.now();
+        this.sessions.delete(id);
+        this.sessions.set(id, entry);
+        return entry;
+    }
+
+    memoryUsage() {
+        let bytes = 0;
+        for (const entry of this.sessions.values()) bytes += entry.graph.estimateSize();
+        return bytes;
+    }
+
+    /**
+     * Usage report. Session ids are deliberately left out.
+     */
+    stats() {
+        const now = Date.now();
+        const sessions = [...this.sessions.values()].map(entry => ({
+            age_ms: now - entry.createdAt,
+            idle_ms: now - entry.lastAccess,
+            active: entry.leases > 0,
+            sources: entry.graph.getSourceCount(),
+            nodes: entry.graph.getGraph().nodes.length,
+            bytes: entry.graph.estimateSize()
+        }));
+        const { heapUsed, rss } = process.memoryUsage();
+
+        return {
+            sessions: sessions.length,
+            max_sessions: this.maxSessions,
+            ttl_ms: this.ttl,
+            estimated_bytes: sessions.reduce((sum, s) => sum + s.bytes, 0),
+            max_bytes: this.maxBytes,
+            evictions: { ...this.evictions },
+            process: { heap_used: heapUsed, rss },
+            details: sessions
+        };
+    }
+
+    close() {
+        clearInterval(this.timer);
+        [...this.sessions.keys()].forEach(id => this.evict(id, 'deleted'));
+    }
+}
+
+module.exports = { SessionStore };
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const app = require('../index');
+
+let server;
+let base;
+before(async () => {
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+const getSessions = headers => fetch(`${base}/sessions`, { headers });
+
+test('GET /sessions needs the admin token', async () => {
+    assert.equal((await getSessions()).status, 401);
+    assert.equal((await getSessions({ Authorization: 'Bearer wrong' })).status, 401);
+
+    const res = await getSessions({ Authorization: 'Bearer test-admin-token' });
+    assert.equal(res.status, 200);
+    assert.equal(typeof (await res.json()).sessions, 'number');
+});
+
+test('GET /sessions is off without ADMIN_TOKEN', async () => {
+    const token = process.env.ADMIN_TOKEN;
+    delete process.env.ADMIN_TOKEN;
+    try {
+        assert.equal((await getSessions({ Authorization: 'Bearer test-admin-token' })).status, 404);
+    } finally {
+        process.env.ADMIN_TOKEN = token;
+    }
+});
+
+test('GET /tools lists the engine tools', async () => {
+    const { tools } = await (await fetch(`${base}/tools`)).json();
+
+    assert.ok(tools.some(t => t.name === 'web_search' && t.output === 'search_results'));
+    assert.deepEqual((await (await fetch(`${base}/tools`)).json()).tools, tools);
+});
+
+const postContext = body => fetch(`${base}/context`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+test('POST /context ingests a snapshot into the session and returns its overlay', async () => {
+    const res = await postContext({
+        session_id: 'context-test',
+        sensor_data: { viewport_text: 'Heat pumps reduce heating bills in most climates. Daikin and Mitsubishi Electric make them.' },
+        metadata: { url: 'https://a.example/heat-pumps' }
+    });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.equal(body.session_id, 'context-test');
+    assert.equal(typeof body.snapshot.id, 'string');
+    assert.ok(body.snapshot.ttl > 0);
+    assert.ok(body.claims.length > 0);
+    assert.ok(body.claims.every(c => c.sources.includes(body.snapshot.id)));
+    assert.equal(body.summary, body.claims[0].text);
+
+    assert.equal((await fetch(`${base}/session/context-test`, { method: 'DELETE' })).status, 204);
+    assert.equal((await fetch(`${base}/session/context-test`, { method: 'DELETE' })).status, 404);
+});
+
+test('POST /context rejects a snapshot without viewport text', async () => {
+    for (const body of [{}, { sensor_data: {} }, { sensor_data: { viewport_text: 42 } }]) {
+        const res = await postContext(body);
+        assert.equal(res.status, 400);
+        assert.deepEqual(await res.json(), { error: 'Missing sensor_data.viewport_text' });
+    }
+});
@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ContentScraper } = require('../engine/tools/content_scraper');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Local fixture server: each route answers like a real site would, no network needed
+const ROUTES = {
+    '/article': res => send(res, 'text/html; charset=utf-8', fixture('article.html')),
+    '/main': res => send(res, 'text/html', fixture('main.html')),
+    '/divs': res => send(res, 'text/html', fixture('divs.html')),
+    '/notes.txt': res => send(res, 'text/plain', 'First paragraph of a plain text file, long enough.\n\nSecond paragraph of the same plain text file.'),
+    '/data.json': res => send(res, 'application/json', '{"text": "not a page"}'),
+    '/big': res => send(res, 'text/html', `<html><body><article><p>${'x'.repeat(50000)}</p></article></body></html>`),
+    '/slow': res => setTimeout(() => send(res, 'text/html', fixture('article.html')), 500),
+    '/missing': res => { res.statusCode = 404; res.end('Not found'); }
+};
+
+function send(res, type, body) {
+    res.setHeader('Content-Type', type);
+    res.end(body);
+}
+
+let server;
+let base;
+before(async () => {
+    server = http.createServer((req, res) => (ROUTES[req.url] || ROUTES['/missing'])(res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+// node-fetch leaves its timeout timer running after an abort or an over-limit body;
+// short timeouts keep those from holding the test run open
+const scraper = (config = {}) => new ContentScraper({ timeout: 1000, ...config });
+
+test('reads the <article> and its metadata', async () => {
+    const page = await scraper().read(`${base}/article`);
+
+    assert.equal(page.title, 'How Heat Pumps Work');
+    assert.equal(page.byline, 'Dana Reyes');
+    assert.equal(page.published_at, '2024-03-05T09:30:00.000Z');
+    assert.deepEqual(page.headings, [
+        { level: 1, text: 'How Heat Pumps Work' },
+        { level: 2, text: 'The refrigerant cycle' }
+    ]);
+    assert.equal(page.paragraphs.length, 4);
+    assert.match(page.paragraphs[0], /^A heat pump moves heat/);
+    assert.equal(page.word_count, page.text.split(/\s+/).length);
+});
+
+test('strips nav, header, footer, asides and boilerplate blocks', async () => {
+    const page = await scraper().read(`${base}/article`);
+
+    for (const unwanted of [/header paragraph/, /Navigation item/, /cookies/, /sponsored/, /Copyright/]) {
+        assert.ok(!unwanted.test(page.text), `${unwanted} leaked into the text`);
+    }
+});
+
+test('keeps outbound links only, without fragments', async () => {
+    const page = await scraper().read(`${base}/article`);
+
+    assert.deepEqual(page.links, [{ url: 'https://energy.example.org/heat-pumps', text: 'efficiency guide' }]);
+});
+
+test('falls back to <main> even when its class looks like boilerplate', async () => {
+    const page = await scraper().read(`${base}/main`);
+
+    assert.equal(page.paragraphs.length, 3);
+    assert.ok(!/Pricing/.test(page.text));
+});
+
+test('picks the densest block when there is no semantic container', async () => {
+    const page = await scraper().read(`${base}/divs`);
+
+    assert.equal(page.paragraphs.length, 2);
+    assert.match(page.text, /densest block/);
+    assert.ok(!/teaser/.test(page.text));
+});
+
+test('accepts text/plain as paragraphs', async () => {
+    const page = await scraper().read(`${base}/notes.txt`);
+
+    assert.equal(page.paragraphs.length, 2);
+    assert.equal(page.title, null);
+});
+
+test('rejects content types that are not pages', async () => {
+    await assert.rejects(scraper().read(`${base}/data.json`), /Unsupported content type: application\/json/);
+});
+
+test('rejects bodies over maxBytes', async () => {
+    await assert.rejects(scraper({ maxBytes: 10000 }).read(`${base}/big`), /over limit/);
+});
+
+test('gives up on slow pages after the timeout', async () => {
+    await assert.rejects(scraper({ timeout: 100 }).read(`${base}/slow`), /timeout/);
+});
+
+test('reports HTTP errors and emits read_failed', async () => {
+    const events = [];
+    const reader = scraper({ events: { emit: (type, payload) => events.push({ type, payload }) } });
+
+    await assert.rejects(reader.read(`${base}/missing`), /404/);
+    assert.equal(events[0].type, 'read_failed');
+});
+
+test('rethrows aborts without a read_failed event', async () => {
+    const events = [];
+    const reader = scraper({ events: { emit: type => events.push(type) } });
+    const controller = new AbortController();
+    const pending = reader.read(`${base}/slow`, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.deepEqual(events, []);
+});
@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ContextGraph, EDGE_TYPES } = require('../context_engine');
+
+const A = 'https://a.example/heat-pumps';
+const B = 'https://b.example/heat-pumps';
+
+const claim = (source, sentence, extra = {}) => ({
+    subject: 'Heat pumps',
+    predicate: 'reduce',
+    object: 'heating bills',
+    source,
+    sentence,
+    confidence: 0.6,
+    ...extra
+});
+
+// Two pages making the same claim, each linked as a source node
+function graphWithSharedClaim() {
+    const graph = new ContextGraph();
+    graph.addNode(A, 'source');
+    graph.addNode(B, 'source');
+    graph.addClaim(claim(A, 'Heat pumps reduce heating bills.'));
+    graph.addClaim(claim(B, 'Most heat pumps reduce heating bills.', { confidence: 0.8 }));
+    return graph;
+}
+
+const cites = (graph, node) => graph.neighbors(node.id, { edgeType: EDGE_TYPES.CITES, direction: 'out' }).map(n => n.node.label);
+
+test('the same claim from two pages is one node backed by both', () => {
+    const graph = graphWithSharedClaim();
+    const claims = graph.getClaims();
+
+    assert.equal(claims.length, 1);
+    assert.deepEqual(claims[0].sources.map(s => s.source), [A, B]);
+    assert.equal(claims[0].sources[1].sentence, 'Most heat pumps reduce heating bills.');
+    assert.equal(claims[0].source, A);
+    assert.deepEqual(cites(graph, claims[0]).sort(), [A, B]);
+});
+
+test('adding a claim again from the same page does not duplicate its source', () => {
+    const graph = graphWithSharedClaim();
+    graph.addClaim(claim(A, 'Heat pumps reduce heating bills.'));
+
+    assert.equal(graph.getClaims()[0].sources.length, 2);
+});
+
+test('removing one page keeps the claim and promotes the next supporter', () => {
+    const graph = graphWithSharedClaim();
+    graph.removeClaims(A);
+    const [node] = graph.getClaims();
+
+    assert.deepEqual(node.sources.map(s => s.source), [B]);
+    assert.equal(node.source, B);
+    assert.equal(node.sentence, 'Most heat pumps reduce heating bills.');
+    assert.deepEqual(cites(graph, node), [B]);
+});
+
+test('removing the last supporting page removes the claim and its edges', () => {
+    const graph = graphWithSharedClaim();
+    const { id } = graph.getClaims()[0];
+    graph.removeClaims(A);
+    graph.removeClaims(B);
+
+    assert.deepEqual(graph.getClaims(), []);
+    assert.ok(!graph.getGraph().edges.some(e => e.source === id || e.target === id));
+});
+
+test('aborting the search stops the claim model pass instead of falling back to rules', async () => {
+    // A claim model that only answers when its request is aborted
+    const bridge = {
+        checkHealth: async () => true,
+        generate: (prompt, model, system, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+        })
+    };
+    const graph = new ContextGraph({ claimModel: 'llama3', bridge });
+    graph.ingestDocument(A, 'Heat pumps reduce heating bills in most climates.');
+    const controller = new AbortController();
+
+    const pending = graph.refineClaims({ signal: controller.signal });
+    setImmediate(() => controller.abort());
+
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.equal(graph.documents[0].claims_method, 'rules');
+});
+
+// Heat pumps as the hub: co-occurring entities, one page mentioning two of them
+function entityGraph() {
+    const graph = new ContextGraph();
+    const [pumps, power, gas, methane] = ['Heat pumps', 'Electricity', 'Gas boilers', 'Methane'].map(label => graph.addNode(label, 'entity'));
+    const page = graph.addNode(A, 'source');
+    graph.addEdge(pumps.id, power.id, EDGE_TYPES.CO_OCCURS);
+    graph.addEdge(power.id, pumps.id, EDGE_TYPES.CO_OCCURS); // Same undirected edge, heavier
+    graph.addEdge(pumps.id, gas.id, EDGE_TYPES.CO_OCCURS);
+    graph.addEdge(gas.id, methane.id, EDGE_TYPES.CO_OCCURS);
+    graph.addEdge(page.id, pumps.id, EDGE_TYPES.MENTIONS);
+    graph.addEdge(page.id, gas.id, EDGE_TYPES.MENTIONS);
+    return graph;
+}
+
+const labels = nodes => nodes.map(n => (n.node || n).label);
+
+test('neighbors filter by edge type and direction', () => {
+    const graph = entityGraph();
+
+    assert.deepEqual(labels(graph.neighbors('heat pumps', { edgeType: EDGE_TYPES.CO_OCCURS })).sort(), ['Electricity', 'Gas boilers']);
+    assert.equal(graph.neighbors('Heat pumps', { edgeType: EDGE_TYPES.CO_OCCURS }).find(n => n.node.label === 'Electricity').edge.weight, 2);
+    assert.deepEqual(graph.neighbors('Heat pumps', { edgeType: EDGE_TYPES.MENTIONS }).map(n => [n.node.label, n.direction]), [[A, 'in']]);
+    assert.deepEqual(graph.neighbors('Heat pumps', { edgeType: EDGE_TYPES.MENTIONS, direction: 'out' }), []);
+    assert.deepEqual(labels(graph.neighbors(A, { nodeType: 'entity' })), ['Heat pumps', 'Gas boilers']);
+});
+
+test('shortestPath follows the fewest hops over the allowed edge types', () => {
+    const graph = entityGraph();
+
+    assert.deepEqual(labels(graph.shortestPath('Electricity', 'Methane').nodes), ['Electricity', 'Heat pumps', 'Gas boilers', 'Methane']);
+    assert.deepEqual(labels(graph.shortestPath('Heat pumps', 'Gas boilers', { edgeTypes: [EDGE_TYPES.MENTIONS] }).nodes), ['Heat pumps', A, 'Gas boilers']);
+    assert.equal(graph.shortestPath('Electricity', 'Methane', { maxDepth: 2 }), null);
+    assert.equal(graph.shortestPath('Electricity', 'Unknown'), null);
+});
+
+test('centralEntities ranks the hub first and leaves out non-entities', () => {
+    const central = entityGraph().centralEntities(3);
+
+    assert.deepEqual(labels(central), ['Heat pumps', 'Gas boilers', 'Electricity']);
+    assert.ok(central[0].centrality > central[1].centrality);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Conversation } = require('../engine/conversation');
+const { ContextGraph } = require('../context_engine');
+
+// A bridge that answers every chat with `reply` and records the messages it was sent
+function fakeBridge(reply = 'ok') {
+    return {
+        sent: [],
+        contextLength: async () => null,
+        chat: async function (messages) {
+            this.sent.push(messages);
+            return reply;
+        }
+    };
+}
+
+const answer = (query, text) => ({ query, answer: text, sources: [{ index: 1, title: 'Guide', url: 'https://a.example', snippet: '' }] });
+const turn = (role, content) => ({ role, content });
+
+test('history only holds the turns since the latest search answer', async () => {
+    const graph = new ContextGraph();
+    graph.logInteraction('ANSWER', answer('heat pumps', 'They move heat.'));
+    graph.logInteraction('CHAT', turn('user', 'Are they loud?'));
+    graph.logInteraction('CHAT', turn('assistant', 'About 40 dB.'));
+    graph.logInteraction('ANSWER', answer('solar panels', 'They make power.'));
+    graph.logInteraction('CHAT', turn('user', 'How long do they last?'));
+    graph.logInteraction('CHAT', turn('assistant', 'About 25 years.'));
+
+    assert.deepEqual(new Conversation({ bridge: fakeBridge() }).history(graph), [
+        turn('user', 'How long do they last?'),
+        turn('assistant', 'About 25 years.')
+    ]);
+});
+
+test('reply grounds on the latest answer and records the exchange', async () => {
+    const bridge = fakeBridge('Around 25 years [1].');
+    const graph = new ContextGraph();
+    graph.logInteraction('ANSWER', answer('solar panels', 'They make power.'));
+
+    const result = await new Conversation({ bridge, model: 'llama3' }).reply(graph, 'How long do they last?');
+
+    assert.equal(result.grounded_on, 'solar panels');
+    assert.match(bridge.sent[0][0].content, /Latest search: solar panels/);
+    assert.deepEqual(bridge.sent[0].slice(1), [turn('user', 'How long do they last?')]);
+    assert.deepEqual(graph.getInteractions('CHAT').map(i => i.payload.role), ['user', 'assistant']);
+});
+
+test('buildMessages drops the oldest turns to fit the window and never starts on an assistant turn', () => {
+    const conversation = new Conversation({ bridge: fakeBridge() });
+    const history = [
+        turn('user', 'a'.repeat(400)),
+        turn('assistant', 'b'.repeat(400)),
+        turn('user', 'c'.repeat(40)),
+        turn('assistant', 'd'.repeat(40))
+    ];
+    // 300 tokens, 225 after the reply reserve: the two short turns fit, the long ones do not
+    const { messages, dropped } = conversation.buildMessages(history, null, 'next?', 300);
+
+    assert.equal(messages[0].role, 'system');
+    assert.deepEqual(messages.slice(1), [history[2], history[3], turn('user', 'next?')]);
+    assert.equal(dropped, 2);
+});
+
+test('buildMessages cuts the grounding answer before the question', () => {
+    const conversation = new Conversation({ bridge: fakeBridge() });
+    const long = answer('solar panels', 'x'.repeat(10000));
+    const { messages, promptTokens } = conversation.buildMessages([turn('user', 'earlier')], long, 'How long do they last?', 1000);
+
+    assert.ok(promptTokens <= 750);
+    assert.match(messages[0].content, /Latest search: solar panels/);
+    assert.deepEqual(messages.slice(1), [turn('user', 'How long do they last?')]);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Coordinator } = require('../engine/coordinator');
+
+// Just enough of a ContextGraph for replanning
+const graph = (entities = [], urls = []) => ({
+    centralEntities: () => entities.map(label => ({ label })),
+    getDocuments: () => urls.map(url => ({ url }))
+});
+
+test('replan appends specific gaps and pivots on surfaced entities', async () => {
+    const plan = await Coordinator.replan('heat pump efficiency', ['cold climate performance'], graph(['COP', 'Daikin']));
+    const queries = plan.steps.map(s => s.params.query);
+
+    assert.deepEqual(queries, [
+        'heat pump efficiency cold climate performance',
+        'heat pump efficiency COP',
+        'heat pump efficiency Daikin'
+    ]);
+});
+
+test('replan has nothing to search for when every gap is generic and no entities surfaced', async () => {
+    assert.equal(await Coordinator.replan('heat pump efficiency', ['Need more details'], graph()), null);
+});
+
+test('replan skips queries an earlier round already issued', async () => {
+    const previous = { id: 'plan-1', steps: [], issued_queries: ['heat pump efficiency cop'] };
+    assert.equal(await Coordinator.replan('heat pump efficiency', [], graph(['COP']), previous), null);
+});
+
+test('replan excludes pages already read', async () => {
+    const plan = await Coordinator.replan('heat pump efficiency', ['noise levels'], graph([], ['https://a.example/read']));
+    assert.deepEqual(plan.steps[0].params.exclude_urls, ['https://a.example/read']);
+});
+
+test('a weak sub-question with only a generic gap is not searched again word for word', async () => {
+    const query = 'compare iphone 15 and pixel 8 on battery life';
+    const plan = await Coordinator.plan(query);
+    assert.ok(plan.issued_queries.includes('iphone 15 battery life'));
+
+    const coverage = [
+        { question: 'iphone 15 battery life', score: 0.4, missing: 'Need more details' },
+        { question: 'pixel 8 battery life', score: 0.4, missing: 'charging speed in watts' }
+    ];
+    const next = await Coordinator.replan(query, ['Need more details'], graph(), plan, { coverage });
+
+    assert.deepEqual(next.steps.map(s => s.params.query), ['pixel 8 battery life charging speed in watts']);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IntentClassifier } = require('../engine/intent_classifier');
+
+// Hashed vectors only, so no embedding model is consulted
+const classify = query => new IntentClassifier({ model: null }).classify(query);
+
+test('clear queries keep their intent', async () => {
+    assert.equal((await classify('iphone 15 vs pixel 8')).type, 'PRODUCT_COMPARISON');
+    assert.equal((await classify('how to change a bike tire')).type, 'HOW_TO');
+});
+
+test('a low-confidence winner falls back to GENERAL_QUERY', async () => {
+    const intent = await classify('nvidia stock');
+
+    assert.equal(intent.type, 'GENERAL_QUERY');
+    assert.equal(intent.specialist, 'QuickSearch');
+    assert.equal(intent.fallback_from, intent.distribution[0].type);
+    assert.ok(intent.distribution[0].score < 0.35);
+});
+
+test('two strong intents still make a hybrid', async () => {
+    const intent = await classify('why do studies compare iphone vs pixel');
+
+    assert.equal(intent.type, 'HYBRID');
+    assert.deepEqual(intent.components, ['PRODUCT_COMPARISON', 'DEEP_RESEARCH']);
+});
+
+test('no hybrid without a clear winner', async () => {
+    const classifier = new IntentClassifier({ model: null });
+    // Two intents close together, neither clearly ahead
+    classifier.softmax = () => [
+        { type: 'DEEP_RESEARCH', score: 0.45 },
+        { type: 'MEDIA_COMPILATION', score: 0.4 },
+        { type: 'GENERAL_QUERY', score: 0.15 }
+    ];
+    const intent = await classifier.classify('footage research');
+
+    assert.equal(intent.type, 'DEEP_RESEARCH');
+    assert.equal(intent.components, undefined);
+});
+
+test('health and education queries that say "sex" are not adult content', async () => {
+    for (const query of ['sex education in schools', 'sex differences in heart disease', 'sex chromosomes and inherited disorders']) {
+        assert.notEqual((await classify(query)).type, 'ADULT_CONTENT', query);
+    }
+    assert.equal((await classify('celebrity sex tape')).type, 'ADULT_CONTENT');
+});
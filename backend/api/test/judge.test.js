@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ProgressJudge } = require('../engine/judge');
+
+const judge = new ProgressJudge({ bridge: {} });
+
+test('a bare "and" inside a topic does not split the question', () => {
+    assert.deepEqual(judge.subQuestions('history of salt and pepper shakers'), ['history of salt and pepper shakers']);
+    assert.deepEqual(judge.subQuestions('best rock and roll albums'), ['best rock and roll albums']);
+});
+
+test('multi-part questions are judged part by part', () => {
+    assert.deepEqual(judge.subQuestions('why did the roman empire fall and what was the impact on europe?'), [
+        'why did the roman empire fall',
+        'what was the impact on europe'
+    ]);
+});
+
+test('comparisons are judged per subject and aspect, like the plan searched them', () => {
+    assert.deepEqual(judge.subQuestions('compare iphone 15 and pixel 8 on battery life'), [
+        'iphone 15 battery life',
+        'pixel 8 battery life'
+    ]);
+});
+
+// A context with one page, and a judge model that only answers when aborted
+const context = { getDocuments: () => [{ url: 'https://a.example/tires', paragraphs: ['Lever the bike tire off the rim, then fit the new tube.'] }] };
+function hangingJudge() {
+    const calls = [];
+    const bridge = {
+        checkHealth: async options => { calls.push(['health', options.timeout]); return true; },
+        generate: (prompt, model, system, { signal, timeout }) => new Promise((resolve, reject) => {
+            calls.push(['generate', timeout]);
+            signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+        })
+    };
+    return { judge: new ProgressJudge({ bridge }), calls };
+}
+
+test('an aborted search does not wait for the judge model', async () => {
+    const { judge, calls } = hangingJudge();
+    const controller = new AbortController();
+
+    const pending = judge.evaluate('how to change a bike tire', context, { signal: controller.signal, timeout: 5000 });
+    setImmediate(() => controller.abort());
+
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.deepEqual(calls, [['health', 5000], ['generate', 5000]]);
+});
+
+test('with the search budget spent the heuristic judges without calling the model', async () => {
+    const { judge, calls } = hangingJudge();
+
+    const audit = await judge.evaluate('how to change a bike tire', context, { timeout: 0 });
+
+    assert.equal(audit.method, 'heuristic');
+    assert.deepEqual(calls, []);
+});
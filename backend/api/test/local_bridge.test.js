@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { LocalBridge, LOCAL_ERRORS } = require('../engine/studio/local_bridge');
+
+const line = data => `${JSON.stringify(data)}\n`;
+
+// Writes each piece as its own chunk, so the client sees the same split
+function sendChunks(res, pieces) {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    const next = () => {
+        if (!pieces.length) return res.end();
+        res.write(pieces.shift());
+        setTimeout(next, 20);
+    };
+    next();
+}
+
+// Just enough of Ollama: each model name picks a scripted NDJSON stream
+const STREAMS = {
+    // "Café ☕" with the é and the ☕ split across chunks
+    split: () => {
+        const bytes = Buffer.from(line({ response: 'Café ☕' }) + line({ response: '', done: true }));
+        const e = bytes.indexOf(0xc3) + 1;
+        const cup = bytes.indexOf(0xe2) + 2;
+        return [bytes.subarray(0, e), bytes.subarray(e, cup), bytes.subarray(cup)];
+    },
+    // Several lines in one chunk, and a final line without a trailing newline
+    packed: () => [line({ response: 'one ' }) + line({ response: 'two ' }) + '{"resp', 'onse":"three"}'],
+    missing: () => [line({ error: "model 'missing' not found, try pulling it first" })],
+    broken: () => [line({ response: 'partial' }), line({ error: 'out of memory' })]
+};
+
+// Models installed by /api/pull; any other unscripted model is missing, as a 404 like Ollama's
+const pulled = [];
+function answer(res, model, streaming) {
+    if (!pulled.includes(model)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: `model '${model}' not found, try pulling it first` }));
+    }
+    if (streaming) return sendChunks(res, [line({ response: `answer from ${model}` }), line({ response: '', done: true })]);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ response: `answer from ${model}`, done: true }));
+}
+
+let server;
+let bridge;
+let url;
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { model, name, stream } = JSON.parse(body);
+            if (req.url === '/api/pull') {
+                pulled.push(name);
+                return sendChunks(res, [line({ status: 'pulling manifest' }), line({ status: 'success' })]);
+            }
+            if (STREAMS[model]) return sendChunks(res, STREAMS[model]());
+            answer(res, model, stream !== false);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+    bridge = new LocalBridge(url, { timeout: 1000, autoPull: false });
+});
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+async function collect(model, via = bridge) {
+    const tokens = [];
+    for await (const token of via.generateStream('prompt', model)) tokens.push(token);
+    return tokens;
+}
+
+test('decodes UTF-8 characters split across chunks', async () => {
+    assert.deepEqual(await collect('split'), ['Café ☕']);
+});
+
+test('parses several lines per chunk and a last line without a newline', async () => {
+    assert.deepEqual(await collect('packed'), ['one ', 'two ', 'three']);
+});
+
+test('an error line for a missing model is model_missing', async () => {
+    await assert.rejects(collect('missing'), { name: 'LocalModelError', code: LOCAL_ERRORS.MODEL_MISSING });
+});
+
+test('an error line mid-stream is model_error', async () => {
+    const tokens = [];
+    await assert.rejects(async () => {
+        for await (const token of bridge.generateStream('prompt', 'broken')) tokens.push(token);
+    }, { code: LOCAL_ERRORS.MODEL_ERROR });
+    assert.deepEqual(tokens, ['partial']);
+});
+
+test('without auto-pull a missing model is model_missing and nothing is downloaded', async () => {
+    await assert.rejects(bridge.generate('prompt', 'not-installed'), { name: 'LocalModelError', code: LOCAL_ERRORS.MODEL_MISSING });
+    await assert.rejects(collect('not-installed'), { code: LOCAL_ERRORS.MODEL_MISSING });
+    assert.deepEqual(pulled, []);
+});
+
+test('with auto-pull a missing model is pulled once, then the call is retried', async () => {
+    const pulling = new LocalBridge(url, { timeout: 1000, autoPull: true });
+
+    assert.equal(await pulling.generate('prompt', 'pulled-blocking'), 'answer from pulled-blocking');
+    assert.deepEqual(await collect('pulled-stream', pulling), ['answer from pulled-stream']);
+    assert.deepEqual(pulled, ['pulled-blocking', 'pulled-stream']);
+});
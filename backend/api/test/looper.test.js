@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Looper } = require('../engine/looper');
+const { ContextGraph } = require('../context_engine');
+const { SafetyPolicy } = require('../engine/safety_policy');
+
+// A search that only ends when it is aborted
+function hangingLooper() {
+    const looper = new Looper();
+    looper.run = (query, context, { signal }) => new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+    return looper;
+}
+
+test('aborting hands a caller-owned graph back without releasing the graph itself', async () => {
+    const context = new ContextGraph();
+    context.release = () => assert.fail('the session graph belongs to the caller');
+    const controller = new AbortController();
+    let released = 0;
+
+    const pending = hangingLooper().start('heat pumps', { signal: controller.signal, context, release: () => released++ });
+    controller.abort();
+
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.equal(released, 1);
+});
+
+test('a signal aborted before the search starts still releases the lease', async () => {
+    let released = 0;
+
+    await assert.rejects(
+        hangingLooper().start('heat pumps', { signal: AbortSignal.abort(), context: new ContextGraph(), release: () => released++ }),
+        { name: 'AbortError' }
+    );
+    assert.equal(released, 1);
+});
+
+// Media tools with a MediaProcessor that records what it was asked to do
+function mediaLooper() {
+    const calls = [];
+    const media = {
+        process: async (query, options) => calls.push(options),
+        analyzeScenes: async (sources, options) => calls.push(options)
+    };
+    return { looper: new Looper({ media }), calls };
+}
+
+const planAt = level => ({ safety: new SafetyPolicy({ level }).resolve() });
+
+test('media steps get the plan\'s safety filter, whatever the step asked for', async () => {
+    const { looper, calls } = mediaLooper();
+    const input = { urls: [{ url: 'https://video.example/1' }] };
+
+    await looper.tools.invoke('media_processor', { filter: 'explicit' }, { plan: planAt('moderate'), query: 'q', input });
+    await looper.tools.invoke('analyze_scenes', {}, { plan: planAt('off'), query: 'q', input: input.urls });
+
+    assert.deepEqual(calls.map(c => c.filter), ['safe', 'none']);
+});
+
+test('media_processor without search results is an input error, not a canned compilation', async () => {
+    const { looper, calls } = mediaLooper();
+
+    await assert.rejects(
+        looper.tools.invoke('media_processor', {}, { plan: planAt('moderate'), query: 'q', input: { urls: [] } }),
+        { name: 'ToolInputError' }
+    );
+    assert.equal(calls.length, 0);
+});
+
+// A bridge whose stream yields `tokens` and then fails with `error`
+function streamingLooper(tokens, error) {
+    const bridge = {
+        generated: 0,
+        async *generateStream() {
+            yield* tokens;
+            throw error;
+        },
+        async generate() {
+            bridge.generated++;
+            return 'blocking answer';
+        }
+    };
+    return { looper: new Looper({ bridge }), bridge };
+}
+
+test('a stream that fails before any token falls back to one blocking call', async () => {
+    const { looper, bridge } = streamingLooper([], new TypeError('stream not supported'));
+
+    assert.equal(await looper.streamLocal('prompt', 'llama3', ''), 'blocking answer');
+    assert.equal(bridge.generated, 1);
+});
+
+test('a stream that fails after tokens went out does not start a second answer', async () => {
+    const { looper, bridge } = streamingLooper(['Half ', 'an answer'], new TypeError('connection reset'));
+    const deltas = [];
+    looper.on('answer_delta', ({ token }) => deltas.push(token));
+
+    await assert.rejects(looper.streamLocal('prompt', 'llama3', ''), /connection reset/);
+    assert.deepEqual(deltas, ['Half ', 'an answer']);
+    assert.equal(bridge.generated, 0);
+});
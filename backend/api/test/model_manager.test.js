@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ModelManager } = require('../engine/system/model_manager');
+
+// A bridge whose pull streams `lines`, then waits for an abort when `hang` is set
+function fakeBridge(lines, { hang = false } = {}) {
+    return {
+        async *pullStream(model, { signal }) {
+            for (const line of lines) {
+                await new Promise(resolve => setImmediate(resolve));
+                yield line;
+            }
+            if (hang) {
+                await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason), { once: true }));
+            }
+        }
+    };
+}
+
+// Resolves with every (event, snapshot) of the job once it reaches a terminal event
+function follow(manager, id) {
+    return new Promise(resolve => {
+        const events = [];
+        manager.subscribe(id, (event, snapshot) => {
+            events.push({ event, ...snapshot });
+            if (event !== 'progress') resolve(events);
+        });
+    });
+}
+
+const layer = (digest, total, completed) => ({ status: `pulling ${digest}`, digest, total, completed });
+
+test('progress sums the layers announced so far and ends at 100', async () => {
+    const manager = new ModelManager({
+        bridge: fakeBridge([
+            { status: 'pulling manifest' },
+            layer('a', 800, 400),
+            layer('b', 200, 0),
+            layer('b', 200, 200),
+            { status: 'success' }
+        ])
+    });
+    const job = manager.pull('llama3');
+    const events = await follow(manager, job.id);
+
+    const progress = events.filter(e => e.event === 'progress' && e.total_bytes).map(e => [e.detail, e.completed_bytes, e.total_bytes, e.percent]);
+    assert.deepEqual(progress, [
+        ['pulling a', 400, 800, 50],
+        ['pulling b', 400, 1000, 40], // A new layer can make the percentage dip
+        ['pulling b', 600, 1000, 60],
+        ['success', 600, 1000, 60]
+    ]);
+
+    const last = events[events.length - 1];
+    assert.equal(last.event, 'complete');
+    assert.equal(last.status, 'done');
+    assert.equal(last.percent, 100);
+});
+
+test('lines within the same whole percent and status are not reported again', async () => {
+    const manager = new ModelManager({
+        bridge: fakeBridge([layer('a', 1000, 100), layer('a', 1000, 101), layer('a', 1000, 109), layer('a', 1000, 110), { status: 'success' }])
+    });
+    const events = await follow(manager, manager.pull('llama3').id);
+
+    assert.deepEqual(events.filter(e => e.total_bytes).map(e => [e.detail, e.percent]), [
+        ['pulling a', 10],
+        ['pulling a', 11],
+        ['success', 11],
+        ['success', 100]
+    ]);
+});
+
+test('a second pull of the same model joins the running job', () => {
+    const manager = new ModelManager({ bridge: fakeBridge([], { hang: true }) });
+    const first = manager.pull('llama3');
+
+    assert.equal(manager.pull('llama3').id, first.id);
+    manager.cancel(first.id);
+});
+
+test('cancel stops the pull and reports cancelled', async () => {
+    const manager = new ModelManager({ bridge: fakeBridge([layer('a', 1000, 500)], { hang: true }) });
+    const job = manager.pull('llama3');
+    const done = follow(manager, job.id);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    manager.cancel(job.id);
+    const events = await done;
+
+    assert.equal(events[events.length - 1].event, 'cancelled');
+    assert.equal(manager.get(job.id).status, 'cancelled');
+});
+
+test('a stream that ends without success fails the job', async () => {
+    const manager = new ModelManager({ bridge: fakeBridge([layer('a', 1000, 500)]) });
+    const job = manager.pull('llama3');
+    const events = await follow(manager, job.id);
+
+    assert.equal(events[events.length - 1].event, 'error');
+    assert.match(manager.get(job.id).error, /before Ollama reported success/);
+});
+
+test('subscribing to a finished job reports its outcome straight away', async () => {
+    const manager = new ModelManager({ bridge: fakeBridge([{ status: 'success' }]) });
+    const job = manager.pull('llama3');
+    await follow(manager, job.id);
+
+    const events = [];
+    manager.subscribe(job.id, event => events.push(event));
+    assert.deepEqual(events, ['complete']);
+    assert.equal(manager.subscribe('unknown', () => {}), null);
+});
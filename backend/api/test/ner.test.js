@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { extractEntities } = require('../../shared/ner');
+
+const found = text => extractEntities(text).map(e => [e.text, e.type]);
+
+test('common words that open a sentence are not entities', () => {
+    assert.deepEqual(found('Model sizes vary a lot. Switch to the smaller one. Vision tasks need more memory.'), []);
+});
+
+test('a sentence-initial word counts when it recurs mid-sentence or spans several tokens', () => {
+    assert.deepEqual(found('Tesla Model 3 sales rose. Vision is hard, as the Apple Vision shows.'), [
+        ['Tesla Model 3', 'product'],
+        ['Vision', 'product'],
+        ['Apple Vision', 'product']
+    ]);
+});
+
+test('known names and acronyms still count at the start of a sentence', () => {
+    assert.deepEqual(found('Google announced it. NASA agreed. London is next.'), [
+        ['Google', 'organization'],
+        ['NASA', 'organization'],
+        ['London', 'place']
+    ]);
+});
+
+test('years after a preposition are dates at the start of a sentence too', () => {
+    assert.deepEqual(found('In 2020 the market grew. Sales fell in 2019.'), [['2020', 'date'], ['2019', 'date']]);
+});
+
+test('the extension ships an up-to-date copy (npm run copy:shared)', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', '..', file), 'utf8');
+    assert.equal(read('extension/lib/ner.js'), read('shared/ner.js'));
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PerspectiveClusterer } = require('../engine/perspectives');
+
+const claim = (id, text, source, extra = {}) => ({ id, text, source, ...extra });
+
+test('negation words alone do not make a claim contrarian', () => {
+    const { consensus, alternatives } = new PerspectiveClusterer().cluster([
+        claim('c1', 'The Acme router is not only fast but cheap to run', 'https://a.example'),
+        claim('c2', 'The Acme router is fast and cheap to run every day', 'https://b.example'),
+        claim('c3', 'Acme offers a no-fee plan for the router service', 'https://c.example'),
+        claim('c4', 'Acme offers a no-fee plan with the router service included', 'https://d.example')
+    ]);
+
+    assert.match(consensus.desc, /router/);
+    assert.ok(alternatives.every(a => a.type === 'minority'));
+});
+
+test('claims that contradict the consensus are contrarian, even from a single page', () => {
+    const { consensus, alternatives } = new PerspectiveClusterer().cluster([
+        claim('c1', 'Heat pumps cut heating bills for most homes', 'https://a.example', { contradicts: ['c3'] }),
+        claim('c2', 'Heat pumps cut heating bills in most homes studied', 'https://b.example', { contradicts: ['c3'] }),
+        claim('c3', 'Heat pumps do not cut heating bills for most homes', 'https://c.example', { negated: true, contradicts: ['c1', 'c2'] })
+    ]);
+
+    assert.equal(consensus.support, 2);
+    assert.equal(alternatives.length, 1);
+    assert.equal(alternatives[0].type, 'contrarian');
+    assert.deepEqual(alternatives[0].sources, ['https://c.example']);
+});
+
+test('a negated claim nobody contradicts stays a minority view and lone ones are dropped', () => {
+    const { alternatives } = new PerspectiveClusterer().cluster([
+        claim('c1', 'Heat pumps cut heating bills for most homes', 'https://a.example'),
+        claim('c2', 'Heat pumps cut heating bills in most homes studied', 'https://b.example'),
+        claim('c3', 'Heat pumps do not cut heating bills for most homes', 'https://c.example', { negated: true })
+    ]);
+
+    assert.deepEqual(alternatives, []);
+});
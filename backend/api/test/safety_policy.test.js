@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SafetyPolicy } = require('../engine/safety_policy');
+
+const policy = new SafetyPolicy({ level: 'moderate' });
+const hit = (title, snippet = '') => ({ url: `https://example.org/${title.toLowerCase().replace(/\W+/g, '-')}`, title, snippet });
+
+test('moderate keeps health and education results that mention sex', () => {
+    const results = [hit('Sexual health services near you'), hit('Sex education in schools: a review')];
+
+    assert.deepEqual(policy.filterResults(results, 'moderate').removed, []);
+});
+
+test('moderate still removes explicit results', () => {
+    const { kept, removed } = policy.filterResults([hit('Free porn videos'), hit('Sexual health services')], 'moderate');
+
+    assert.deepEqual(removed.map(r => r.title), ['Free porn videos']);
+    assert.deepEqual(kept.map(r => r.title), ['Sexual health services']);
+});
+
+test('strict removes suggestive terms too, snippets included', () => {
+    const results = [hit('Sexual health services'), hit('Museum guide', 'Nude statues of the classical era')];
+
+    assert.equal(policy.filterResults(results, 'strict').kept.length, 0);
+});
+
+test('moderate only drops a page saturated with explicit terms', () => {
+    const page = text => ({ title: 'Page', text, word_count: text.split(/\s+/).length });
+
+    assert.ok(policy.allowsDocument(page('sexual health '.repeat(20)), 'moderate'));
+    assert.ok(!policy.allowsDocument(page('xxx porn '.repeat(20)), 'moderate'));
+    assert.ok(!policy.allowsDocument(page('sexual health '.repeat(20)), 'strict'));
+});
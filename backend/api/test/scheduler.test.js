@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler, StepTimeoutError } = require('../engine/scheduler');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run functions that record how many tasks per key were running at once
+function tracker() {
+    const running = new Map();
+    const peak = new Map();
+    const run = (key, ms = 10) => async () => {
+        running.set(key, (running.get(key) || 0) + 1);
+        peak.set(key, Math.max(peak.get(key) || 0, running.get(key)));
+        await sleep(ms);
+        running.set(key, running.get(key) - 1);
+        return key;
+    };
+    return { run, peak };
+}
+
+// Never settles by itself; ignores its signal too
+const forever = () => new Promise(() => {});
+
+test('no more tasks of a tool run at once than its limit', async () => {
+    const scheduler = new Scheduler({ toolLimits: { read: 2 } });
+    const { run, peak } = tracker();
+
+    const outcomes = await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule({ tool: 'read', run: run('read') })));
+
+    assert.equal(peak.get('read'), 2);
+    assert.deepEqual(outcomes.map(o => o.status), ['ok', 'ok', 'ok', 'ok', 'ok']);
+});
+
+test('a busy host does not hold up tasks for other hosts', async () => {
+    const scheduler = new Scheduler({ toolLimits: { read: 4 }, hostLimit: 1 });
+    const { run, peak } = tracker();
+    const order = [];
+    const task = host => scheduler.schedule({ tool: 'read', host, run: run(host) }).then(() => order.push(host));
+
+    await Promise.all([task('a.example'), task('a.example'), task('a.example'), task('b.example')]);
+
+    assert.equal(peak.get('a.example'), 1);
+    assert.deepEqual(order, ['a.example', 'b.example', 'a.example', 'a.example']);
+});
+
+test('a task past its timeout is reported as timeout even if it ignores its signal', async () => {
+    const scheduler = new Scheduler({ stepTimeout: 20 });
+    let signal;
+
+    const outcome = await scheduler.schedule({ tool: 'read', label: 'slow page', run: s => { signal = s; return forever(); } });
+
+    assert.equal(outcome.status, 'timeout');
+    assert.ok(outcome.error instanceof StepTimeoutError);
+    assert.equal(signal.aborted, true);
+    assert.deepEqual(scheduler.report().timed_out, [{ tool: 'read', label: 'slow page', timeout_ms: 20 }]);
+});
+
+test('a failing task resolves as failed instead of rejecting', async () => {
+    const outcome = await new Scheduler().schedule({ tool: 'read', run: async () => { throw new Error('404'); } });
+
+    assert.equal(outcome.status, 'failed');
+    assert.equal(outcome.error.message, '404');
+});
+
+test('tasks after the budget ran out are skipped and announced', async () => {
+    const events = [];
+    const scheduler = new Scheduler({ budget: 1, events: { emit: (type, payload) => events.push({ type, ...payload }) } });
+    await sleep(5);
+    let ran = false;
+
+    const outcome = await scheduler.schedule({ tool: 'web_search', label: 'heat pumps', run: async () => { ran = true; } });
+
+    assert.deepEqual(outcome, { status: 'skipped' });
+    assert.equal(ran, false);
+    assert.deepEqual(events, [{ type: 'step_skipped', tool: 'web_search', label: 'heat pumps', reason: 'budget' }]);
+    assert.deepEqual(scheduler.report().skipped, [{ tool: 'web_search', label: 'heat pumps', reason: 'budget' }]);
+});
+
+test('aborting the search rejects queued tasks without waiting for running ones', async () => {
+    const controller = new AbortController();
+    const scheduler = new Scheduler({ toolLimits: { read: 1 }, stepTimeout: 200, signal: controller.signal });
+    let queuedRan = false;
+
+    const running = scheduler.schedule({ tool: 'read', run: forever });
+    const queued = scheduler.schedule({ tool: 'read', run: async () => { queuedRan = true; } });
+    running.catch(() => {}); // Settles when its step timeout fires
+    controller.abort();
+
+    const startedAt = Date.now();
+    await assert.rejects(queued, { name: 'AbortError' });
+    assert.ok(Date.now() - startedAt < 100);
+    assert.equal(queuedRan, false);
+    await assert.rejects(running, { name: 'AbortError' });
+});
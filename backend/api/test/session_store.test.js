@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionStore } = require('../session_store');
+
+const store = () => new SessionStore({ sweepInterval: 0 });
+
+test('deleting a session aborts the work still running on it', () => {
+    const sessions = store();
+    const controller = new AbortController();
+    sessions.open('s1', { controller });
+
+    assert.equal(sessions.delete('s1'), true);
+    assert.equal(controller.signal.aborted, true);
+    assert.equal(controller.signal.reason.code, 'session_evicted');
+});
+
+test('work that already released its lease is left alone', () => {
+    const sessions = store();
+    const controller = new AbortController();
+    sessions.open('s1', { controller }).release();
+
+    sessions.delete('s1');
+    assert.equal(controller.signal.aborted, false);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ToolRegistry, ToolInputError } = require('../engine/tool_registry');
+
+const registry = () => new ToolRegistry().register('search', {
+    description: 'Test search',
+    input: {
+        query: { type: 'string', required: true },
+        limit: { type: 'number', default: 5 },
+        domains: { type: 'array', default: () => [] },
+        mode: { type: 'string', enum: ['fast', 'deep'] }
+    },
+    output: 'search_results',
+    handler: params => params
+});
+
+test('fills in defaults and passes unknown params through', () => {
+    const params = registry().validate('search', { query: 'heat pumps', region: 'us' });
+
+    assert.deepEqual(params, { query: 'heat pumps', limit: 5, domains: [], region: 'us' });
+});
+
+test('rejects missing, mistyped and out-of-enum params', () => {
+    const tools = registry();
+
+    assert.throws(() => tools.validate('search', {}), { name: 'ToolInputError', message: 'search: missing required param "query"' });
+    assert.throws(() => tools.validate('search', { query: 'q', limit: '5' }), /param "limit" must be a number/);
+    assert.throws(() => tools.validate('search', { query: 'q', domains: 'a.example' }), /param "domains" must be an array/);
+    assert.throws(() => tools.validate('search', { query: 'q', mode: 'slow' }), /param "mode" must be one of fast, deep/);
+});
+
+test('unknown tools are input errors', async () => {
+    await assert.rejects(registry().invoke('scrape', {}), err => err instanceof ToolInputError && err.tool === 'scrape');
+});
+
+test('a tool needs a handler', () => {
+    assert.throws(() => new ToolRegistry().register('broken', { input: {} }), /needs a handler/);
+});
+
+test('describe resolves default functions for GET /tools', () => {
+    const [tool] = registry().describe();
+
+    assert.equal(tool.name, 'search');
+    assert.deepEqual(tool.input.domains, { type: 'array', default: [] });
+    assert.equal(tool.timeout_ms, null);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { WebSearcher } = require('../engine/tools/web_searcher');
+const { Looper } = require('../engine/looper');
+const { SafetyPolicy } = require('../engine/safety_policy');
+
+// Adapters that fail, or answer with `results` and record the queries they were sent
+const failing = name => ({ name, search: async () => { throw new Error('rate limited'); } });
+const answering = (name, results, extra = {}) => ({
+    name,
+    queries: [],
+    async search(query) {
+        this.queries.push(query);
+        return results;
+    },
+    ...extra
+});
+
+function searcher(...providers) {
+    const events = [];
+    const web = new WebSearcher({
+        engine: providers[0].name,
+        fallback: providers.map(p => p.name),
+        events: { emit: (type, payload) => events.push({ type, ...payload }) }
+    });
+    providers.forEach(p => web.registerProvider(p));
+    return { web, events };
+}
+
+const RESULTS = [
+    { title: '  Heat pump guide ', url: 'https://a.example/guide', snippet: ' How they work. ' },
+    { title: 'Duplicate', url: 'https://a.example/guide', snippet: '' },
+    { title: 'Not a page', url: 'ftp://files.example/guide' },
+    { url: 'https://www.b.example/review', snippet: 'From $899', published_at: '2024-01-02' },
+    { title: 'Budget pick', url: 'https://c.example/cheap', snippet: 'Only $499' }
+];
+
+test('falls back to the next provider and normalizes its results', async () => {
+    const { web, events } = searcher(failing('first'), answering('second', RESULTS));
+    const results = await web.search('heat pumps');
+
+    assert.deepEqual(results, [
+        { title: 'Heat pump guide', url: 'https://a.example/guide', snippet: 'How they work.', rank: 1, provider: 'second' },
+        { title: 'https://www.b.example/review', url: 'https://www.b.example/review', snippet: 'From $899', rank: 2, provider: 'second', published_at: '2024-01-02' },
+        { title: 'Budget pick', url: 'https://c.example/cheap', snippet: 'Only $499', rank: 3, provider: 'second' }
+    ]);
+    assert.deepEqual(events.map(e => [e.type, e.provider]), [
+        ['query_issued', 'first'],
+        ['provider_failed', 'first'],
+        ['query_issued', 'second'],
+        ['results_received', 'second']
+    ]);
+});
+
+test('an empty answer also moves on, and an exhausted chain gives no results', async () => {
+    const { web } = searcher(answering('empty', []), failing('down'));
+
+    assert.deepEqual(await web.search('heat pumps'), []);
+});
+
+test('domain restrictions become site: operators only for engines that understand them', async () => {
+    const scoped = answering('scoped', RESULTS, { siteOperators: true });
+    const plain = answering('plain', RESULTS);
+    const options = { include_domains: ['b.example', 'c.example'] };
+
+    const results = await searcher(scoped).web.search('heat pumps', options);
+    await searcher(plain).web.search('heat pumps', options);
+
+    assert.deepEqual(scoped.queries, ['heat pumps (site:b.example OR site:c.example)']);
+    assert.deepEqual(plain.queries, ['heat pumps']);
+    // Results are filtered either way; www. and subdomains count as the domain
+    assert.deepEqual(results.map(r => r.url), ['https://www.b.example/review', 'https://c.example/cheap']);
+});
+
+test('price_max drops results whose every quoted price is over budget', async () => {
+    const results = await searcher(answering('shop', RESULTS)).web.search('heat pumps', { price_max: 500 });
+
+    assert.deepEqual(results.map(r => r.url), ['https://a.example/guide', 'https://c.example/cheap']);
+});
+
+test('pages in exclude_urls are listed but not read again', async () => {
+    const looper = new Looper();
+    looper.searcher = searcher(answering('shop', RESULTS)).web;
+    const plan = { intent: {}, safety: new SafetyPolicy({ level: 'moderate' }).resolve() };
+
+    const { urls, deepDives } = await looper.webSearch(
+        { query: 'heat pumps', deep_dive: 2, exclude_urls: ['https://a.example/guide'] },
+        { plan, query: 'heat pumps' }
+    );
+
+    assert.equal(urls.length, 3);
+    assert.deepEqual(deepDives.map(r => r.url), ['https://www.b.example/review', 'https://c.example/cheap']);
+});
@@ -16,9 +16,11 @@ async function testSearch(query) {
             return;
         }
 
-        const data = await response.json();
-        console.log('[SUCCESS] Data received:');
-        console.log(JSON.stringify(data, null, 2));
+        // The endpoint streams Server-Sent Events; print each frame as it lands
+        console.log('[SUCCESS] Streaming events:');
+        for await (const chunk of response.body) {
+            process.stdout.write(chunk.toString());
+        }
     } catch (err) {
         console.error('[ERROR]', err.message);
         if (err.message.includes('ECONNREFUSED')) {
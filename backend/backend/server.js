@@ -4,6 +4,7 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
 const fs = require('fs').promises;
+const { extractEntities } = require('../shared/ner');
 
 class AIServer {
   constructor() {
@@ -310,18 +311,7 @@ class AIServer {
   async analyzeText(text, privacyLevel) {
     // Simple text analysis
     const words = text.split(/\s+/);
-    const entities = [];
-    
-    // Extract potential entities (simple heuristic)
-    words.forEach(word => {
-      if (word.length > 3 && /^[A-Z]/.test(word)) {
-        entities.push({
-          text: word,
-          type: 'potential-entity',
-          confidence: 0.7
-        });
-      }
-    });
+    const entities = extractEntities(text);
     
     // Apply privacy filters
     let analysis = {
@@ -81,8 +81,8 @@ deploy_render() {
         echo "   - Name: ai-browser-backend"
         echo "   - Environment: Docker"
         echo "   - Branch: main"
-        echo "   - Root Directory: backend"
-        echo "   - Build Command: docker build -t ai-browser-backend ."
+        echo "   - Root Directory: ."
+        echo "   - Build Command: docker build -f backend/Dockerfile -t ai-browser-backend ."
         echo "   - Start Command: docker run -p 3000:3000 ai-browser-backend"
         echo "5. Add environment variables from .env.production"
     fi
@@ -129,11 +129,11 @@ deploy_vercel() {
 deploy_local() {
     print_status "Deploying locally with Docker..."
     
-    cd backend
-    
-    # Build Docker image
+    # Build Docker image (context includes shared/, which server.js requires)
     print_status "Building Docker image..."
-    docker build -t ai-browser-backend:latest .
+    docker build -f backend/Dockerfile -t ai-browser-backend:latest .
+    
+    cd backend
     
     # Stop existing container if running
     if docker ps -a --format '{{.Names}}' | grep -q 'ai-browser-backend'; then
@@ -148,7 +148,7 @@ deploy_local() {
         --name ai-browser-backend \
         -p 3000:3000 \
         --env-file .env.production \
-        -v $(pwd)/data:/app/data \
+        -v $(pwd)/data:/app/backend/data \
         ai-browser-backend:latest
     
     print_status "Local deployment complete!"
@@ -164,7 +164,7 @@ services:
     name: ai-browser-backend
     env: docker
     dockerfilePath: ./backend/Dockerfile
-    dockerContext: ./backend
+    dockerContext: .
     envVars:
       - key: NODE_ENV
         value: production
@@ -1,7 +1,9 @@
 // Background service worker for AI Contextual Search extension
+import './lib/ner.js'; // Copy of shared/ner.js (npm run copy:shared), exposed as self.SharedNER
 
 class AIContextualSearch {
   constructor() {
+    this.sessions = new Map(); // tabId -> backend session_id for page snapshots
     this.initialize();
   }
 
@@ -54,6 +56,9 @@ class AIContextualSearch {
       this.handleMessage(message, sender, sendResponse);
       return true; // Keep message channel open for async response
     });
+
+    // A closed tab's page context is dropped on the backend too
+    chrome.tabs.onRemoved.addListener((tabId) => this.endSession(tabId));
   }
 
   async handleContextMenuClick(info, tab) {
@@ -173,8 +178,14 @@ class AIContextualSearch {
         break;
 
       case 'processContent':
-        const result = await this.processContent(message.content, message.type);
-        sendResponse(result);
+        // Always answer, or the content script waits on the open channel forever
+        try {
+          const result = await this.processContent(message.content, message.type, sender.tab && sender.tab.id);
+          sendResponse(result);
+        } catch (error) {
+          console.error('Error processing content:', error);
+          sendResponse({ error: error.message });
+        }
         break;
 
       default:
@@ -182,7 +193,11 @@ class AIContextualSearch {
     }
   }
 
-  async processContent(content, type) {
+  async processContent(content, type, tabId) {
+    if (type === 'page-context') {
+      return this.sendPageContext(content, tabId);
+    }
+
     // Process content locally or send to backend
     const settings = await chrome.storage.sync.get(['useLocalProcessing']);
     
@@ -197,6 +212,40 @@ class AIContextualSearch {
     }
   }
 
+  // Page snapshots feed the tab's ContextGraph session on the backend
+  async sendPageContext(context, tabId) {
+    const settings = await chrome.storage.sync.get(['apiEndpoint']);
+
+    const response = await fetch(`${settings.apiEndpoint}/context`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ...context, session_id: this.sessions.get(tabId) })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Backend error: ${response.status}`);
+    }
+
+    const result = await response.json();
+    if (tabId !== undefined) this.sessions.set(tabId, result.session_id);
+    return result;
+  }
+
+  async endSession(tabId) {
+    const sessionId = this.sessions.get(tabId);
+    if (!sessionId) return;
+    this.sessions.delete(tabId);
+
+    try {
+      const settings = await chrome.storage.sync.get(['apiEndpoint']);
+      await fetch(`${settings.apiEndpoint}/session/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error ending session:', error); // The backend TTL still expires it
+    }
+  }
+
   canProcessLocally(type) {
     // Check if we can process this type locally
     const localCapabilities = ['text-extraction', 'simple-object-detection'];
@@ -219,22 +268,7 @@ class AIContextualSearch {
   }
 
   extractEntities(text) {
-    // Simple entity extraction (for demonstration)
-    const entities = [];
-    const words = text.split(/\s+/);
-    
-    // Check for potential names, places, etc.
-    words.forEach(word => {
-      if (word.length > 3 && /^[A-Z]/.test(word)) {
-        entities.push({
-          text: word,
-          type: 'potential-entity',
-          confidence: 0.7
-        });
-      }
-    });
-    
-    return entities;
+    return self.SharedNER.extractEntities(text);
   }
 
   summarizeText(text, maxLength = 200) {
@@ -291,7 +291,7 @@ class ContentAnalyzer {
       const frameData = canvas.toDataURL('image/jpeg', 0.8);
 
       // Send to background for processing
-      const response = await chrome.runtime.sendMessage({
+      const response = await this.sendMessageToBackground({
         action: 'processContent',
         content: frameData,
         type: 'video-frame'
@@ -347,7 +347,7 @@ class ContentAnalyzer {
     container.innerHTML = '<p style="font-size: 12px; color: #6366f1;">Searching intelligence sources...</p>';
 
     try {
-      const response = await chrome.runtime.sendMessage({
+      const response = await this.sendMessageToBackground({
         action: 'processContent',
         content: entity,
         type: 'entity-search'
@@ -450,6 +450,8 @@ class ContentAnalyzer {
       chrome.runtime.sendMessage(message, (response) => {
         if (chrome.runtime.lastError) {
           reject(chrome.runtime.lastError);
+        } else if (response && response.error) {
+          reject(new Error(response.error)); // The background worker failed, e.g. backend unreachable
         } else {
           resolve(response);
         }
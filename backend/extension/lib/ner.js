@@ -0,0 +1,299 @@
+// Shared named-entity recognizer.
+// Dependency-free so it runs in Node (require) and in the extension service worker
+// (side-effect import, exposed as globalThis.SharedNER).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SharedNER = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : self, function () {
+  const TYPES = {
+    PERSON: 'person',
+    ORGANIZATION: 'organization',
+    PLACE: 'place',
+    DATE: 'date',
+    MONEY: 'money',
+    PRODUCT: 'product'
+  };
+
+  const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+  const WEEKDAYS = 'Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday';
+
+  // Pattern entities: matched before capitalized spans and never overlapped by them
+  const PATTERNS = [
+    { type: TYPES.MONEY, confidence: 0.95, regex: /(?:[$€£¥]\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:k|m|bn|thousand|million|billion|trillion)\b)?|\b(?:USD|EUR|GBP)\s?\d[\d,]*(?:\.\d+)?|\b\d[\d,]*(?:\.\d+)?\s?(?:dollars|euros|pounds|USD|EUR|GBP)\b)/gi },
+    { type: TYPES.DATE, confidence: 0.9, regex: new RegExp(`\\b(?:(?:${WEEKDAYS}),?\\s+)?(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`, 'g') },
+    { type: TYPES.DATE, confidence: 0.9, regex: new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTHS})\\.?(?:\\s+\\d{4})?\\b`, 'g') },
+    { type: TYPES.DATE, confidence: 0.85, regex: new RegExp(`\\b(?:${MONTHS})\\.?\\s+\\d{4}\\b`, 'g') },
+    { type: TYPES.DATE, confidence: 0.9, regex: /\b\d{4}-\d{2}-\d{2}\b|\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/g },
+    { type: TYPES.DATE, confidence: 0.7, regex: new RegExp(`\\b(?:${WEEKDAYS})\\b`, 'g') },
+    { type: TYPES.DATE, confidence: 0.65, regex: /\b(?:in|since|by|during|until|from|of)\s+((?:19|20)\d{2}s?)\b/gi, group: 1 }
+  ];
+
+  // Capitalized words that are not names on their own (mostly sentence starters)
+  const COMMON_WORDS = new Set(('a an the this that these those there here it its he she they we you i my our your their his her ' +
+    'however but and or so yet also then thus therefore meanwhile moreover furthermore although though while when where why how what which who ' +
+    'is are was were be been has have had do does did can could will would should may might must ' +
+    'in on at by for from with without about after before during since until into over under between among through ' +
+    'if because as not no yes all some many most more each every both either neither other another such ' +
+    'today yesterday tomorrow now first last next one two three according read share click see sign subscribe home').split(' '));
+
+  const CONNECTORS = new Set(['of', 'the', 'de', 'del', 'la', 'van', 'von', 'der', 'and', '&', 'for', 'on']);
+
+  const PERSON_TITLES = new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'professor', 'sir', 'dame', 'lord', 'president', 'senator', 'governor', 'mayor', 'judge', 'ceo', 'minister', 'king', 'queen', 'prince', 'princess', 'pope', 'rep', 'gen', 'general', 'captain']);
+
+  const FIRST_NAMES = new Set(('james john robert michael william david richard joseph thomas charles christopher daniel matthew anthony mark ' +
+    'donald steven paul andrew joshua kenneth kevin brian george timothy ronald jason edward jeffrey ryan jacob gary nicholas eric ' +
+    'jonathan stephen larry justin scott brandon benjamin samuel gregory alexander patrick frank raymond jack dennis jerry tyler ' +
+    'mary patricia jennifer linda elizabeth barbara susan jessica sarah karen lisa nancy betty margaret sandra ashley kimberly ' +
+    'emily donna michelle carol amanda melissa deborah stephanie rebecca sharon laura cynthia kathleen amy angela anna emma olivia ' +
+    'sophia isabella mia elon jeff bill tim satya sundar sam mark larry sergey warren barack joe kamala angela emmanuel vladimir xi ' +
+    'narendra rishi justin jane maria jose juan carlos luis ana ali mohammed ahmed wei li chen yuki hiroshi').split(' '));
+
+  const ORG_SUFFIXES = new Set(['inc', 'corp', 'corporation', 'ltd', 'llc', 'plc', 'gmbh', 'ag', 'sa', 'co', 'company', 'group', 'holdings',
+    'university', 'college', 'institute', 'foundation', 'association', 'agency', 'bank', 'labs', 'technologies', 'systems', 'bureau',
+    'council', 'ministry', 'department', 'committee', 'commission', 'party', 'fc', 'club', 'times', 'post', 'journal', 'news', 'press',
+    'media', 'studios', 'motors', 'airlines', 'pharmaceuticals', 'partners', 'capital', 'ventures', 'network', 'society', 'court']);
+
+  const KNOWN_ORGS = new Set(['google', 'alphabet', 'apple', 'microsoft', 'amazon', 'meta', 'facebook', 'samsung', 'tesla', 'openai',
+    'anthropic', 'ibm', 'intel', 'nvidia', 'amd', 'sony', 'netflix', 'reuters', 'bbc', 'cnn', 'nasa', 'fda', 'cdc', 'who', 'nato', 'un',
+    'eu', 'fbi', 'cia', 'sec', 'ftc', 'uber', 'airbnb', 'spotify', 'twitter', 'x', 'reddit', 'youtube', 'tiktok', 'bytedance', 'huawei',
+    'xiaomi', 'oneplus', 'dyson', 'shark', 'revlon', 'oracle', 'salesforce', 'adobe', 'cisco', 'dell', 'hp', 'lenovo', 'asus', 'lg',
+    'toyota', 'honda', 'ford', 'bmw', 'volkswagen', 'walmart', 'target', 'costco', 'ikea', 'nike', 'adidas', 'pfizer', 'moderna',
+    'wikipedia', 'github', 'mozilla', 'linkedin', 'paypal', 'visa', 'mastercard', 'boeing', 'airbus', 'spacex', 'ollama', 'mistral']);
+
+  const PLACE_SUFFIXES = new Set(['city', 'county', 'river', 'mountain', 'mountains', 'lake', 'island', 'islands', 'street', 'avenue',
+    'province', 'state', 'bay', 'valley', 'ocean', 'sea', 'desert', 'park', 'region', 'district', 'peninsula', 'coast']);
+
+  const KNOWN_PLACES = new Set(('africa asia europe antarctica australia america north south east west ' +
+    'united states usa us uk britain england scotland wales ireland france germany spain portugal italy greece netherlands belgium ' +
+    'switzerland austria sweden norway denmark finland poland ukraine russia turkey israel iran iraq egypt nigeria kenya ethiopia ' +
+    'china japan korea india pakistan bangladesh indonesia vietnam thailand philippines malaysia singapore taiwan canada mexico ' +
+    'brazil argentina chile colombia peru venezuela cuba new zealand saudi arabia emirates qatar ' +
+    'london paris berlin madrid rome tokyo beijing shanghai delhi mumbai moscow sydney melbourne toronto vancouver montreal ' +
+    'york los angeles chicago houston boston seattle san francisco diego washington miami atlanta dallas denver austin ' +
+    'silicon valley california texas florida nevada oregon arizona ohio michigan georgia virginia carolina massachusetts ' +
+    'hong kong dubai istanbul cairo lagos nairobi seoul bangkok jakarta manila amsterdam brussels vienna zurich geneva stockholm ' +
+    'oslo copenhagen helsinki dublin lisbon athens warsaw prague budapest kyiv').split(' '));
+
+  // Only places as part of a longer name ("New York", "San Diego")
+  const PLACE_FRAGMENTS = new Set(['new', 'north', 'south', 'east', 'west', 'san', 'los', 'united', 'saudi', 'hong', 'silicon', 'us']);
+
+  const PRODUCT_LINES = new Set(['pixel', 'iphone', 'ipad', 'macbook', 'imac', 'airpods', 'galaxy', 'surface', 'kindle', 'echo', 'alexa',
+    'playstation', 'xbox', 'switch', 'windows', 'android', 'ios', 'macos', 'chrome', 'firefox', 'chatgpt', 'gpt', 'claude', 'gemini',
+    'llama', 'mixtral', 'copilot', 'supersonic', 'hyperair', 'model', 'cybertruck', 'thinkpad', 'xps', 'quest', 'vision']);
+
+  const PRODUCT_MODIFIERS = new Set(['pro', 'max', 'ultra', 'plus', 'mini', 'lite', 'air', 'se', 'edge', 'fold', 'flip']);
+
+  const ORG_PREFIXES = new Set(['university', 'bank', 'department', 'ministry', 'institute', 'college', 'museum', 'church', 'house', 'senate', 'office']);
+
+  // Abbreviations whose trailing period does not end a sentence
+  const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'rep', 'gen', 'sen', 'gov', 'st', 'jr', 'sr', 'inc', 'corp', 'co', 'ltd', 'vs', 'no']);
+
+  const PLACE_PREPOSITIONS = new Set(['in', 'at', 'from', 'near', 'across', 'throughout', 'outside', 'inside']);
+
+  function isCapitalized(token) {
+    return /^[A-Z]/.test(token) || /^[a-z]+[A-Z]/.test(token); // "Google", "iPhone", "eBay"
+  }
+
+  // Names a sentence start can't have capitalized by accident: "NASA", "iPhone", "Google", "London"
+  function isUnambiguousName(token) {
+    const word = token.replace(/[.'’]+$/, '').toLowerCase();
+    return /^[A-Z0-9]{2,}$/.test(token) || /^[a-z]+[A-Z]/.test(token) ||
+      KNOWN_ORGS.has(word) || (KNOWN_PLACES.has(word) && !PLACE_FRAGMENTS.has(word));
+  }
+
+  function tokenize(text) {
+    const tokens = [];
+    const regex = /[A-Za-z0-9][\w'’&.-]*[\w]|[A-Za-z0-9]|&|[.!?]/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const previous = tokens[tokens.length - 1];
+      if (match[0] === '.' && previous && previous.end === match.index && ABBREVIATIONS.has(previous.text.toLowerCase())) {
+        previous.text += '.';
+        previous.end++;
+        continue;
+      }
+      tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+  }
+
+  function overlaps(spans, start, end) {
+    return spans.some(s => start < s.end && end > s.start);
+  }
+
+  function matchPatterns(text) {
+    const found = [];
+    for (const pattern of PATTERNS) {
+      pattern.regex.lastIndex = 0;
+      let match;
+      while ((match = pattern.regex.exec(text)) !== null) {
+        const value = pattern.group ? match[pattern.group] : match[0];
+        const start = pattern.group ? match.index + match[0].lastIndexOf(value) : match.index;
+        const end = start + value.length;
+        if (!overlaps(found, start, end)) {
+          found.push({ text: value.trim(), type: pattern.type, start, end, confidence: pattern.confidence });
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Groups runs of capitalized tokens ("Bank of America", "Pixel 8 Pro") into candidate spans.
+   */
+  function capitalizedSpans(text, tokens, taken) {
+    const startsSentence = i => i === 0 || /^[.!?]$/.test(tokens[i - 1].text) || /[:"“]\s*$/.test(text.substring(tokens[i - 1].end, tokens[i].start));
+    // Words capitalized somewhere other than a sentence start are names wherever they appear
+    const midSentence = new Set(tokens.filter((t, k) => isCapitalized(t.text) && !startsSentence(k)).map(t => t.text));
+
+    const spans = [];
+    let i = 0;
+    while (i < tokens.length) {
+      const token = tokens[i];
+      if (!isCapitalized(token.text) || overlaps(taken, token.start, token.end)) {
+        i++;
+        continue;
+      }
+
+      const sentenceStart = startsSentence(i);
+      let j = i + 1;
+      while (j < tokens.length) {
+        const next = tokens[j];
+        if (overlaps(taken, next.start, next.end) || /[,;:()]/.test(text.substring(tokens[j - 1].end, next.start))) break;
+        if (isCapitalized(next.text) || /^\d[\w.]*$/.test(next.text) || PRODUCT_MODIFIERS.has(next.text.toLowerCase())) {
+          j++;
+        } else if (CONNECTORS.has(next.text.toLowerCase()) && tokens[j + 1] && isCapitalized(tokens[j + 1].text) &&
+            !overlaps(taken, tokens[j + 1].start, tokens[j + 1].end)) {
+          j += 2;
+        } else {
+          break;
+        }
+      }
+
+      let parts = tokens.slice(i, j);
+      // Sentence starters ("The", "However") are not part of the name
+      while (parts.length && COMMON_WORDS.has(parts[0].text.toLowerCase())) parts = parts.slice(1);
+      while (parts.length && CONNECTORS.has(parts[parts.length - 1].text.toLowerCase())) parts = parts.slice(0, -1);
+
+      splitAtTitles(parts).forEach((piece, k) => {
+        // A lone word capitalized only because it opens a sentence ("Model", "Switch") is not a name
+        if (sentenceStart && piece[0] === token && piece.length === 1 && !midSentence.has(token.text) && !isUnambiguousName(token.text)) return;
+        spans.push({
+          parts: piece,
+          sentenceStart: sentenceStart && piece[0] === token,
+          previous: k === 0 && i > 0 ? tokens[i - 1].text.toLowerCase() : null
+        });
+      });
+      i = j;
+    }
+    return spans;
+  }
+
+  /**
+   * "Google CEO Sundar Pichai" -> "Google" + "CEO Sundar Pichai";
+   * "Dr. Jane Roe of Stanford University" -> "Dr. Jane Roe" + "Stanford University".
+   */
+  function splitAtTitles(parts) {
+    const pieces = [];
+    let current = [];
+    for (let k = 0; k < parts.length; k++) {
+      const word = parts[k].text.replace(/\.$/, '').toLowerCase();
+      const titled = current.length && PERSON_TITLES.has(current[0].text.replace(/\.$/, '').toLowerCase());
+      if (PERSON_TITLES.has(word) && current.length) {
+        pieces.push(current);
+        current = [];
+      } else if (titled && CONNECTORS.has(word)) {
+        pieces.push(current);
+        current = [];
+        continue;
+      }
+      current.push(parts[k]);
+    }
+    if (current.length) pieces.push(current);
+    return pieces.filter(piece => piece.length);
+  }
+
+  function classify(span) {
+    const words = span.parts.map(p => p.text.replace(/[.'’]+$/, ''));
+    const lower = words.map(w => w.toLowerCase());
+    const first = lower[0];
+    const last = lower[lower.length - 1];
+
+    if (PERSON_TITLES.has(first) && words.length > 1) return { type: TYPES.PERSON, confidence: 0.9, drop: 1 };
+    if (ORG_SUFFIXES.has(last) && words.length > 1) return { type: TYPES.ORGANIZATION, confidence: 0.85 };
+    if (PLACE_SUFFIXES.has(last) && words.length > 1) return { type: TYPES.PLACE, confidence: 0.8 };
+    if (ORG_PREFIXES.has(first) && words.length > 1) return { type: TYPES.ORGANIZATION, confidence: 0.8 };
+
+    const hasNumber = lower.some(w => /^\d/.test(w));
+    const productLine = lower.find(w => PRODUCT_LINES.has(w));
+    if ((productLine && (hasNumber || words.length > 1 || /^[a-z]+[A-Z]/.test(words[0]))) ||
+        (hasNumber && words.length > 1 && (KNOWN_ORGS.has(first) || PRODUCT_MODIFIERS.has(last))) ||
+        /^[a-z]+[A-Z]/.test(words[0])) {
+      return { type: TYPES.PRODUCT, confidence: 0.75 };
+    }
+
+    if (lower.every(w => KNOWN_PLACES.has(w)) && !(words.length === 1 && PLACE_FRAGMENTS.has(first))) return { type: TYPES.PLACE, confidence: 0.85 };
+    if (KNOWN_ORGS.has(lower.join(' ')) || (words.length === 1 && KNOWN_ORGS.has(first))) return { type: TYPES.ORGANIZATION, confidence: 0.85 };
+    if (productLine) return { type: TYPES.PRODUCT, confidence: 0.6 };
+
+    if (words.length >= 2 && words.length <= 3 && FIRST_NAMES.has(first)) return { type: TYPES.PERSON, confidence: 0.8 };
+    if (words.length === 1 && /^[A-Z]{2,6}$/.test(words[0])) return { type: TYPES.ORGANIZATION, confidence: 0.55 };
+    if (PLACE_PREPOSITIONS.has(span.previous)) return { type: TYPES.PLACE, confidence: 0.5 };
+    const hasConnector = lower.some(w => CONNECTORS.has(w));
+    if (words.length >= 2 && words.length <= 3 && !hasConnector && lower.every(w => /^[a-z][a-z'’-]*$/.test(w))) {
+      return { type: TYPES.PERSON, confidence: 0.5 };
+    }
+    if (words.length >= 2) return { type: TYPES.ORGANIZATION, confidence: span.sentenceStart ? 0.3 : 0.45 };
+
+    // A lone capitalized word: weak evidence, weaker still at the start of a sentence
+    return { type: TYPES.ORGANIZATION, confidence: span.sentenceStart ? 0.2 : 0.35 };
+  }
+
+  /**
+   * @param {string} text
+   * @param {object} options - { minConfidence: number (default 0.4), types: string[] }
+   * @returns {Array<{text: string, type: string, start: number, end: number, confidence: number}>}
+   */
+  function extractEntities(text, options = {}) {
+    if (!text) return [];
+    const minConfidence = options.minConfidence !== undefined ? options.minConfidence : 0.4;
+
+    const entities = matchPatterns(text);
+    for (const span of capitalizedSpans(text, tokenize(text), entities)) {
+      const result = classify(span);
+      const parts = span.parts.slice(result.drop || 0);
+      const start = parts[0].start;
+      const value = text.substring(start, parts[parts.length - 1].end).replace(/[.'’]+$/, '');
+      entities.push({
+        text: value,
+        type: result.type,
+        start,
+        end: start + value.length,
+        confidence: result.confidence
+      });
+    }
+
+    return entities
+      .filter(e => e.confidence >= minConfidence && (!options.types || options.types.includes(e.type)))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Unique entities by (type, text), keeping the highest confidence.
+   */
+  function uniqueEntities(entities) {
+    const byKey = new Map();
+    for (const entity of entities) {
+      const key = `${entity.type}:${entity.text.toLowerCase()}`;
+      const existing = byKey.get(key);
+      if (!existing || existing.confidence < entity.confidence) byKey.set(key, entity);
+    }
+    return [...byKey.values()];
+  }
+
+  return { TYPES, extractEntities, uniqueEntities };
+});
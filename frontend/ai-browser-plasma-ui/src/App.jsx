@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
+import { BubbleNav } from './components/BubbleNav';
 
 const MOCK_RESULTS = [
   {
@@ -32,26 +33,87 @@ const MOCK_RESULTS = [
   }
 ];
 
+// Why the local model did not answer (LocalModelError codes)
+const MODEL_ERRORS = {
+  model_missing: 'model not installed',
+  bridge_offline: 'Ollama not running',
+  timeout: 'timed out',
+  model_error: 'failed'
+};
+
+// A synthesis-shaped result so failures show up in the synthesis view
+const errorResult = message => ({
+  intent: { type: 'ERROR', vector: [1, 0, 0] },
+  synthesis: { curated_answer: message, confidence: 0 },
+  structure: { entities: [], claims: [], evidence: [] }
+});
+
+// Turns live engine events from the /search stream into status lines
+function describeEvent(event, data) {
+  switch (event) {
+    case 'plan_created': return data.parent ? `Coordinator: Re-planning (${data.steps.length} new steps)...` : `Coordinator: Planning ${data.intent}${data.intents && data.intents.length ? ` (${data.intents.join(', ')})` : ''}...`;
+    case 'query_issued': return `Scout: Searching "${data.query}" via ${data.provider}...`;
+    case 'results_received': return `Scout: ${data.count} results from ${data.provider}`;
+    case 'content_filtered': return `Safety (${data.level}): Skipped ${data.stage === 'read' ? 'a page' : 'a result'}`;
+    case 'step_skipped': return `Scheduler: Out of time, skipped ${data.tool === 'read' ? data.label : data.tool}`;
+    case 'url_read': return `Deep Diver: Read ${data.title || data.url}`;
+    case 'satisfaction_scored': {
+      const missing = (data.missing_info || []).slice(0, 2).join(', ');
+      return `Judge: ${Math.round(data.satisfaction * 100)}% satisfied${missing ? ` (missing: ${missing})` : ''}`;
+    }
+    case 'iteration_finished': return `Looper: Iteration ${data.iteration} done (${data.source_count} sources)`;
+    case 'synthesis_started': return 'Synthesizing...';
+    case 'model_unavailable': return `Local model: ${MODEL_ERRORS[data.code] || 'unavailable'} (${data.model})`;
+    default: return null;
+  }
+}
+
 function App() {
   const [view, setView] = useState('landing');
   const [query, setQuery] = useState('');
+  // Bubble refinements (intents) for the current query; cleared when the user types
+  const [intents, setIntents] = useState([]);
   const [isFusing, setIsFusing] = useState(false);
   const [fusionStep, setFusionStep] = useState('');
+  // The answer as the local model writes it (answer_delta events), replaced by the final one on complete
+  const [partialAnswer, setPartialAnswer] = useState('');
+  const searchAbort = useRef(null);
+  // Follow-up questions on the current answer (POST /chat, same session)
+  const [followUp, setFollowUp] = useState('');
+  const [chat, setChat] = useState([]);
+  const [isReplying, setIsReplying] = useState(false);
   const [synthesis, setSynthesis] = useState(null);
+  // One backend session per tab so follow-up searches build on the same context
+  const [sessionId] = useState(() => crypto.randomUUID());
+
+  // A bubble is a structured refinement, not extra query text
+  const handleBubbleClick = (bubble) => {
+    const next = bubble.intent ? [...new Set([...intents, bubble.intent])] : intents;
+    setIntents(next);
+    handleSearch(bubble.query || query, next);
+  };
 
-  const handleSearch = async (overrideQuery) => {
+  const handleSearch = async (overrideQuery, activeIntents = intents) => {
     const activeQuery = overrideQuery || query;
     if (!activeQuery.trim()) return;
 
+    // Closing the request cancels the search on the server, model generation included
+    searchAbort.current?.abort();
+    const controller = new AbortController();
+    searchAbort.current = controller;
+
     setQuery(activeQuery);
     setIsFusing(true);
     setFusionStep('Initializing Stream...');
+    setPartialAnswer('');
+    setChat([]);
 
     try {
       const response = await fetch('http://localhost:3000/search', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query: activeQuery })
+        body: JSON.stringify({ query: activeQuery, session_id: sessionId, intents: activeIntents }),
+        signal: controller.signal
       });
 
       if (!response.ok) throw new Error('API request failed');
@@ -59,49 +121,97 @@ function App() {
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
       let buffer = '';
+      let completed = false;
+      let streamError = null;
 
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
 
         buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop(); // Keep incomplete chunk
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop(); // Keep incomplete frame
+
+        for (const frame of frames) {
+          // SSE frame: "id: n\nevent: name\ndata: {...}"
+          let event = 'message';
+          let data = '';
+          for (const line of frame.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+          }
+          if (!data) continue;
 
-        for (const line of lines) {
-          if (!line.trim()) continue;
+          let payload;
           try {
-            const chunk = JSON.parse(line);
-            if (chunk.type === 'progress') {
-              setFusionStep(chunk.step);
-            } else if (chunk.type === 'complete') {
-              setSynthesis(chunk.data);
-              setIsFusing(false);
-              setView('synthesis');
-            } else if (chunk.type === 'error') {
-              throw new Error(chunk.message);
-            }
+            payload = JSON.parse(data);
           } catch (e) {
             console.warn('Stream parse error', e);
+            continue;
+          }
+
+          if (event === 'complete') {
+            completed = true;
+            setSynthesis(payload);
+            setIsFusing(false);
+            setView('synthesis');
+          } else if (event === 'error') {
+            const reason = MODEL_ERRORS[payload.code];
+            streamError = `${payload.message || 'Search failed'}${reason ? `: ${reason}` : ''}.`;
+          } else if (event === 'answer_delta') {
+            setPartialAnswer(prev => prev + payload.token);
+          } else {
+            const step = describeEvent(event, payload);
+            if (step) setFusionStep(step);
           }
         }
       }
 
+      // The server closes the stream right after an error event, so this is where a failed search ends
+      if (!completed) {
+        setSynthesis(errorResult(streamError || 'The search ended before an answer arrived.'));
+        setView('synthesis');
+        setIsFusing(false);
+      }
     } catch (err) {
+      if (err.name === 'AbortError') {
+        if (searchAbort.current === controller) setIsFusing(false); // Stopped, not superseded by a newer search
+        return;
+      }
       console.error('Search error:', err);
-      setSynthesis({
-        intent: { type: 'ERROR', vector: [1, 0, 0] },
-        synthesis: {
-          curated_answer: "Engine unreachable. Ensure backend is running.",
-          confidence: 0
-        },
-        structure: { entities: [], claims: [], evidence: [] }
-      });
+      setSynthesis(errorResult('Engine unreachable. Ensure backend is running.'));
       setView('synthesis');
       setIsFusing(false);
     }
   };
 
+  const stopSearch = () => searchAbort.current?.abort();
+
+  const handleFollowUp = async () => {
+    const message = followUp.trim();
+    if (!message || isReplying) return;
+
+    setFollowUp('');
+    setChat(prev => [...prev, { role: 'user', content: message }]);
+    setIsReplying(true);
+    try {
+      const response = await fetch('http://localhost:3000/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session_id: sessionId, message })
+      });
+      const data = await response.json();
+      const reason = MODEL_ERRORS[data.code];
+      const content = response.ok ? data.message.content : `(${data.error || 'No reply'}${reason ? `: ${reason}` : ''})`;
+      setChat(prev => [...prev, { role: 'assistant', content }]);
+    } catch (err) {
+      console.error('Chat error:', err);
+      setChat(prev => [...prev, { role: 'assistant', content: '(Engine unreachable)' }]);
+    } finally {
+      setIsReplying(false);
+    }
+  };
+
   if (isFusing) {
     return (
       <div className='fusion-core-overlay'>
@@ -113,6 +223,8 @@ function App() {
             <span>Plan</span> → <span>Search</span> → <span>Read</span> → <span>Synthesize</span>
           </div>
         </div>
+        {partialAnswer && <p className='partial-answer'>{partialAnswer}</p>}
+        <button className='stop-btn' onClick={stopSearch}>Stop</button>
       </div>
     );
   }
@@ -135,9 +247,30 @@ function App() {
             </div>
 
             <div className='answer-box'>
+              {synthesis?.placeholder && <p className='model-notice'>Placeholder text: no local model answered.</p>}
+              {!synthesis?.placeholder && synthesis?.model_error && (
+                <p className='model-notice'>
+                  Local model {MODEL_ERRORS[synthesis.model_error.code] || 'unavailable'}
+                  {synthesis.model === 'extractive' ? '; answer assembled from source excerpts.' : '.'}
+                </p>
+              )}
               <p>{synthesis?.answer || synthesis?.synthesis?.curated_answer}</p>
             </div>
 
+            <div className='follow-up'>
+              {chat.map((m, i) => (
+                <p key={i} className={`chat-msg ${m.role}`}>{m.content}</p>
+              ))}
+              <input
+                className='follow-up-input'
+                value={followUp}
+                placeholder={isReplying ? 'Thinking...' : 'Ask a follow-up...'}
+                disabled={isReplying}
+                onChange={(e) => setFollowUp(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleFollowUp()}
+              />
+            </div>
+
             {synthesis?.scenes && (
               <div className='studio-widget'>
                 <h4>Studio Compilation Ready</h4>
@@ -153,6 +286,33 @@ function App() {
         </div>
 
         <div className='syn-content grid-system'>
+          {synthesis?.comparison && (
+            <section className='comparison-track'>
+              <h3>Side by Side</h3>
+              <table className='comparison-table'>
+                <thead>
+                  <tr>
+                    <th></th>
+                    {synthesis.comparison.columns.map(col => <th key={col}>{col}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {synthesis.comparison.rows.map((row, i) => (
+                    <tr key={i}>
+                      <th>{row.aspect || 'Overview'}</th>
+                      {row.cells.map((cell, j) => (
+                        <td key={j}>
+                          {cell.text || <span className='cell-missing'>Not found</span>}
+                          {cell.marker && <sup>[{cell.marker}]</sup>}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          )}
+
           <section className='worker-claims'>
             <h3>Specialist Analysis</h3>
             <div className='claims-list'>
@@ -192,7 +352,9 @@ function App() {
             <div className='sources-list'>
               {(synthesis?.sources || synthesis?.lanes?.[0]?.items || []).map((src, i) => (
                 <div key={i} className='source-card'>
-                  <a href={src.url} target="_blank" rel="noopener noreferrer">{src.title || src.url}</a>
+                  <a href={src.url} target="_blank" rel="noopener noreferrer">
+                    {src.index ? `[${src.index}] ` : ''}{src.title || src.url}
+                  </a>
                   <span className='source-snippet'>{src.snippet?.substring(0, 60)}...</span>
                 </div>
               ))}
@@ -218,12 +380,15 @@ function App() {
             type='text'
             placeholder='Ask anything (Deep Research, Video, Patents)...'
             value={query}
-            onChange={(e) => setQuery(e.target.value)}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setIntents([]);
+            }}
             onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
           />
           <button onClick={() => handleSearch()}>→</button>
         </div>
-        <BubbleNav query={query} onBubbleClick={(b) => handleSearch(`${query} ${b.label}`)} />
+        <BubbleNav query={query} sessionId={sessionId} onBubbleClick={handleBubbleClick} />
       </div>
     </div>
   );
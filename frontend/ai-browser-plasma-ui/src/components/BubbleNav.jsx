@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 
-export function BubbleNav({ query, onBubbleClick }) {
+export function BubbleNav({ query, sessionId, onBubbleClick }) {
     const [bubbles, setBubbles] = useState([]);
 
     useEffect(() => {
@@ -13,7 +13,7 @@ export function BubbleNav({ query, onBubbleClick }) {
             fetch('http://localhost:3000/suggest', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ partial_query: query })
+                body: JSON.stringify({ partial_query: query, session_id: sessionId })
             })
                 .then(res => res.json())
                 .then(data => {
@@ -23,14 +23,14 @@ export function BubbleNav({ query, onBubbleClick }) {
         }, 300); // Debounce
 
         return () => clearTimeout(timer);
-    }, [query]);
+    }, [query, sessionId]);
 
     if (bubbles.length === 0) return null;
 
     return (
         <div className='bubble-nav-container'>
             {bubbles.map((b, i) => (
-                <button key={i} className='nav-bubble' onClick={() => onBubbleClick(b)}>
+                <button key={i} className='nav-bubble' title={b.reason} onClick={() => onBubbleClick(b)}>
                     <span className='bubble-label'>{b.label}</span>
                     {b.intent && <span className='bubble-intent-dot'>•</span>}
                 </button>